@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+// Solvan - standalone REST API server
+// Queues jobs for the workers of a running bot (same Redis, same RESULT_ENCRYPTION_KEY)
+
+import Redis from 'ioredis';
+import { createApiServer, loadApiKeys } from './src/api.js';
+import { loadEnv } from './src/env.js';
+import { loadFilterConfig } from './src/filters.js';
+import { logger } from './src/logger.js';
+import { loadLengthPolicy } from './src/policy.js';
+import { createQueue, redisOptions } from './src/queue.js';
+import { loadResultKey } from './src/secrets.js';
+import { createFlowProducer } from './src/shards.js';
+import { watchSettings } from './src/settings.js';
+
+loadEnv();
+
+const apiKeys = loadApiKeys();
+if (!apiKeys.size) {
+  logger.error('API_KEYS not set - nobody could use the API');
+  process.exit(1);
+}
+
+const API_PORT = parseInt(process.env.API_PORT) || 3000;
+
+const redis = new Redis({ ...redisOptions(), maxRetriesPerRequest: null });
+redis.on('connect', () => logger.info('Redis connected'));
+redis.on('error', (err) => logger.error('Redis error', { err }));
+
+const vanityQueue = createQueue(redis);
+const flowProducer = createFlowProducer(redis);
+
+// Follow /setlimit changes made through the bot
+const lengthPolicy = loadLengthPolicy();
+watchSettings(redis, { lengthPolicy }, { lengthPolicy: structuredClone(lengthPolicy) });
+
+const server = createApiServer({
+  queue: vanityQueue,
+  flows: flowProducer,
+  redis,
+  resultKey: loadResultKey(),
+  lengthPolicy,
+  filters: loadFilterConfig(),
+  apiKeys,
+});
+
+server.listen(API_PORT, () => {
+  logger.info('REST API listening', { port: API_PORT, keys: apiKeys.size });
+});
+
+async function shutdown() {
+  logger.info('Shutting down');
+  server.close();
+  await vanityQueue.close();
+  await flowProducer.close();
+  await redis.quit();
+}
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
@@ -1,598 +1,1333 @@
 #!/usr/bin/env node
 
 // Solvan - Solana Vanity Address Generator - Telegram Bot
-// WITH MIDDLEWARE LOGGING FOR DEBUGGING
 
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { spawn } from 'child_process';
-import { Queue, Worker, QueueEvents } from 'bullmq';
+import { QueueEvents } from 'bullmq';
 import Redis from 'ioredis';
 import { Telegraf, session } from 'telegraf';
+import { createMetricsServer, getAnalytics } from './src/analytics.js';
+import { audit, banUser, broadcast, isBanned, recentAudit, rememberUser, unbanUser } from './src/admin.js';
+import { createApiServer, loadApiKeys } from './src/api.js';
+import { CANCELLED, isCancelRequested } from './src/cancellation.js';
+import { MNEMONIC_ATTEMPT_COST, attemptCost, estimate, expectedAttempts, expectedWork, successChance } from './src/difficulty.js';
+import { loadEnv } from './src/env.js';
+import {
+  MAX_EXCLUDE,
+  MAX_EXCLUDE_LENGTH,
+  MIN_EXCLUDE_LENGTH,
+  checkPatternFilters,
+  loadFilterConfig,
+  parseExclude,
+} from './src/filters.js';
+import { escapeHtml, formatCount, formatDuration, formatPercent } from './src/format.js';
+import { DEFAULT_LOCALE, LOCALES, createTranslator, resolveLocale, setUserLocale, translate, userLocale } from './src/i18n.js';
+import { takeInterrupted } from './src/interruptions.js';
+import { MIN_PASSPHRASE_LENGTH, buildKeyArchive, solanaCliKeypair } from './src/keystore.js';
+import { checkLimits, getUsage, loadTiers, recordJob, userTier } from './src/limits.js';
+import { logger } from './src/logger.js';
+import { checkMintKeypair } from './src/mint.js';
+import { MNEMONIC_WORDS, isMnemonicWords } from './src/mnemonic.js';
+import {
+  MAX_ALTERNATIVES,
+  MAX_PATTERN_LENGTH,
+  PatternError,
+  SEARCH_TYPES,
+  parsePattern,
+  suggestPattern,
+} from './src/patterns.js';
+import {
+  DEFAULT_TIMEOUT_MINUTES,
+  alternativesLength,
+  isLengthAllowed,
+  loadLengthPolicy,
+  maxLengthFor,
+  policyForLength,
+  userMaxLength,
+} from './src/policy.js';
+import {
+  QUEUE_NAME,
+  cancelJob,
+  createQueue,
+  deleteResult,
+  getQueueSize,
+  hasResult,
+  loadResult,
+  redisOptions,
+} from './src/queue.js';
+import { loadResultKey, seal, unseal } from './src/secrets.js';
+import { redisSessionStore } from './src/sessions.js';
+import { createBotServer, loadWebhookConfig } from './src/server.js';
+import { createFlowProducer, queueGeneration } from './src/shards.js';
+import { createStatsRepository, outcomeOf } from './src/stats.js';
+import { applySettings, resetSettings, saveSetting, watchSettings } from './src/settings.js';
+import { parseBasePublicKey } from './src/split-key.js';
+import { getThroughput, getWorkerThroughputs } from './src/throughput.js';
+import {
+  claimDelivery,
+  claimUser,
+  getTrackedJob,
+  getUserJob,
+  isGenerating,
+  releaseUser,
+  trackJob,
+  trackedJobIds,
+} from './src/tracking.js';
+import { CLOSE_TIMEOUT_MS, createGeneratorWorker } from './src/worker.js';
+import { canRun, getWorkers } from './src/workers.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const envPath = path.resolve('.env');
 
 // Load environment
-if (fs.existsSync(envPath)) {
-  const envContent = fs.readFileSync(envPath, 'utf8');
-  envContent.split('\n').forEach(line => {
-    const [key, ...valueParts] = line.trim().split('=');
-    if (key && valueParts.length) {
-      process.env[key.trim()] = valueParts.join('=').trim();
-    }
-  });
-}
+loadEnv();
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 if (!BOT_TOKEN) {
-  console.error('❌ TELEGRAM_BOT_TOKEN not found!');
+  logger.error('TELEGRAM_BOT_TOKEN not found');
   process.exit(1);
 }
-console.log('✅ Bot token loaded');
+logger.info('Bot token loaded');
+
+const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(id => parseInt(id.trim()));
+
+function isAdmin(userId) {
+  return ADMIN_IDS.includes(userId);
+}
+
+// Results (private keys included) are encrypted before they touch Redis
+const resultKey = loadResultKey();
+if (!process.env.RESULT_ENCRYPTION_KEY) {
+  logger.warn('RESULT_ENCRYPTION_KEY not set - deriving the result key from the bot token');
+}
+
+// Pattern length limits, per-length permissions and job timeouts
+const lengthPolicy = loadLengthPolicy();
+// Operator blocklist and lookalike filter - patterns they'd reject every match of are refused
+const addressFilters = loadFilterConfig();
+
+// Per-user rate limits, quotas and queue priority
+const userLimits = loadTiers();
+
+// Both can be changed at runtime with /setlimit - these are the .env values to fall back to
+const envSettings = { lengthPolicy: structuredClone(lengthPolicy), userLimits: structuredClone(userLimits) };
 
 // Initialize Redis
 const redis = new Redis({
-  host: process.env.REDIS_HOST || 'redis',
-  port: process.env.REDIS_PORT || 6379,
+  ...redisOptions(),
   maxRetriesPerRequest: null,
   retryStrategy: (times) => Math.min(times * 50, 2000),
 });
 
 const redisForResults = new Redis({
-  host: process.env.REDIS_HOST || 'redis',
-  port: process.env.REDIS_PORT || 6379,
+  ...redisOptions(),
 });
 
-redis.on('connect', () => console.log('✅ Redis connected'));
-redis.on('error', (err) => console.error('❌ Redis error:', err));
-
-// Queue
-const vanityQueue = new Queue('vanity-generation', {
-  connection: redis,
-  defaultJobOptions: { attempts: 1, removeOnComplete: true, removeOnFail: true },
+// Dedicated pub/sub connection for cancel requests
+const redisForCancel = new Redis({
+  ...redisOptions(),
 });
 
-// Queue Events
-const queueEvents = new QueueEvents('vanity-generation', { connection: redis });
-
-// Worker
-const worker = new Worker('vanity-generation', async (job) => {
-  const { searchType, vanityString, caseSensitive } = job.data;
-
-  console.log(`Processing job ${job.id}: ${searchType} ${vanityString}`);
-
-  return new Promise((resolve, reject) => {
-    const python = spawn(
-      'python3',
-      [
-        '-u',
-        'vanity_generator.py',
-        '--search-type', searchType,
-        '--vanity-string', vanityString,
-        '--case-sensitive', caseSensitive ? 'true' : 'false',
-        '--num-wallets', '1',
-      ],
-      { cwd: '/app', stdio: ['ignore', 'pipe', 'pipe'] }
-    );
-
-    let output = '';
-    let errorOutput = '';
+redis.on('connect', () => logger.info('Redis connected'));
+redis.on('error', (err) => logger.error('Redis error', { err }));
+
+watchSettings(redisForResults, { lengthPolicy, userLimits }, envSettings);
+
+// Queue - hard jobs are added as flows of shards
+const vanityQueue = createQueue(redis);
+const flowProducer = createFlowProducer(redis);
+
+// Queue Events - drive progress edits and delivery of tracked bot jobs
+const queueEvents = new QueueEvents(QUEUE_NAME, { connection: redis });
+
+// Generator worker in this process - with BOT_ONLY=true jobs are left to worker.js processes
+const BOT_ONLY = process.env.BOT_ONLY === 'true';
+const generatorWorker = BOT_ONLY
+  ? null
+  : createGeneratorWorker({ connection: redis, redis: redisForResults, subscriber: redisForCancel, resultKey });
+if (BOT_ONLY) logger.info('Bot-only mode - jobs run on separate workers');
+
+// Progress: worker -> job.updateProgress, bot -> throttled message edits
+const PROGRESS_EDIT_INTERVAL_MS = parseInt(process.env.PROGRESS_EDIT_INTERVAL_MS) || 5000;
+
+// Prometheus metrics: queue depth, outcomes, throughput, wait and run times
+const METRICS_PORT = parseInt(process.env.METRICS_PORT);
+let metricsServer = null;
+
+if (METRICS_PORT) {
+  metricsServer = createMetricsServer(async () => ({
+    analytics: await getAnalytics(redisForResults, { days: 1 }),
+    queueSize: await getQueueSize(vanityQueue),
+    keysPerSecond: await getThroughput(redisForResults),
+    workers: await getWorkerThroughputs(redisForResults),
+    aliveWorkers: (await getWorkers(redisForResults)).length,
+  }));
+  metricsServer.listen(METRICS_PORT, () => logger.info('Metrics listening', { port: METRICS_PORT, path: '/metrics' }));
+}
 
-    python.stdout.on('data', (data) => {
-      output += data.toString();
-    });
+// REST API in this process - run api.js instead to host it on its own
+const API_PORT = parseInt(process.env.API_PORT);
+let apiServer = null;
+
+if (API_PORT) {
+  apiServer = createApiServer({
+    queue: vanityQueue,
+    flows: flowProducer,
+    redis: redisForResults,
+    resultKey,
+    lengthPolicy,
+    filters: addressFilters,
+    apiKeys: loadApiKeys(),
+  });
+  apiServer.listen(API_PORT, () => logger.info('REST API listening', { port: API_PORT }));
+}
 
-    python.stderr.on('data', (data) => {
-      errorOutput += data.toString();
-      console.log(`Job ${job.id} Stderr: ${data.toString()}`);
-    });
+// Stats - one record per job in Redis. The old vanity_addresses.jsonl is imported once.
+const statsRepository = createStatsRepository(redisForResults);
 
-    python.on('close', (code) => {
-      console.log(`Job ${job.id} Process exited with code ${code}`);
+statsRepository
+  .migrateFromJsonl(path.join(__dirname, 'vanity_addresses.jsonl'))
+  .then((count) => {
+    if (count) logger.info('Migrated vanity_addresses.jsonl', { entries: count });
+  })
+  .catch((err) => logger.error('Stats migration failed', { err }));
 
-      if (code !== 0) {
-        console.error(`Job ${job.id} Generator failed: ${errorOutput}`);
-        reject(new Error(`Generator error: ${errorOutput}`));
-        return;
-      }
+// Labels in the user's language
+function caseLabel(t, caseSensitive) {
+  return t(caseSensitive ? 'case.sensitive' : 'case.insensitive');
+}
 
-      try {
-        if (!output || output.trim().length === 0) {
-          reject(new Error('Generator produced no output'));
-          return;
-        }
+function searchTypeLabel(t, searchType) {
+  return SEARCH_TYPES[searchType] ? t(`searchTypes.${searchType}.label`) : searchType;
+}
 
-        const result = JSON.parse(output);
-        console.log(`Job ${job.id} Storing result in Redis...`);
-
-        redisForResults
-          .setex(`vanity-result:${job.id}`, 3600, JSON.stringify(result))
-          .then(() => {
-            console.log(`Job ${job.id} Result stored`);
-            resolve({ success: true, jobId: job.id });
-          })
-          .catch((err) => {
-            console.error(`Job ${job.id} Redis error: ${err.message}`);
-            reject(err);
-          });
-      } catch (e) {
-        console.error(`Job ${job.id} Parse error: ${e.message}`);
-        reject(e);
-      }
-    });
+// PatternError (by reason) as a reply, with a corrected pattern or command to try
+function patternErrorMessage(t, err, maxLength, suggestion = null) {
+  const { text = '', length, count } = err.details;
+  const restricted =
+    err.reason === 'length' && length <= Math.max(lengthPolicy.maxLength.sensitive, lengthPolicy.maxLength.insensitive)
+      ? t('pattern.errors.restricted', { length })
+      : '';
+
+  return t(`pattern.errors.${err.reason}`, {
+    text: escapeHtml(text),
+    length,
+    count,
+    max: maxLength,
+    alternatives: MAX_ALTERNATIVES,
+    maxExclude: MAX_EXCLUDE,
+    minWord: MIN_EXCLUDE_LENGTH,
+    maxWord: MAX_EXCLUDE_LENGTH,
+    restricted,
+  }) + (suggestion ? t('pattern.suggestion', { suggestion: escapeHtml(suggestion) }) : '');
+}
 
-    python.on('error', (err) => {
-      console.error(`Job ${job.id} Process error: ${err.message}`);
-      reject(err);
-    });
+// Validates a pattern against the user's length limit and the address filters.
+// Returns { alternatives, exclude } or { error, suggestion } - suggest() turns the corrected
+// pattern into what the user should send instead (the pattern itself by default).
+function validatePattern(t, userId, searchType, vanityString, suggest = (fixed) => fixed, excludeText = '') {
+  const maxLength = userMaxLength(lengthPolicy, userId, isAdmin(userId));
 
-    setTimeout(() => {
-      console.log(`Job ${job.id} Timeout reached`);
-      python.kill('SIGKILL');
-      reject(new Error('Timeout'));
-    }, 600000); // 10 minutes timeout
-  });
-}, { connection: redis, concurrency: 4 });
+  try {
+    const alternatives = parsePattern(searchType, vanityString, maxLength);
+    const exclude = parseExclude(excludeText);
+    checkPatternFilters(alternatives, addressFilters, exclude);
+    return { alternatives, exclude };
+  } catch (err) {
+    if (!(err instanceof PatternError)) throw err;
 
-worker.on('completed', (job) => {
-  console.log(`✅ Job ${job.id} completed`);
-});
+    // Look-alike characters can't fix a blocked pattern or a bad exclude list
+    const fixed = ['blocked', 'exclude'].includes(err.reason) ? null : suggestPattern(searchType, vanityString, maxLength);
+    const suggestion = fixed && suggest(fixed);
+    return { error: patternErrorMessage(t, err, maxLength, suggestion), suggestion };
+  }
+}
 
-worker.on('failed', (job, err) => {
-  console.log(`❌ Job ${job.id} failed: ${err.message}`);
-});
+// Case modes a pattern of this length may use, sensitive first
+function caseOptionsFor(userId, length) {
+  if (!isLengthAllowed(lengthPolicy, length, userId, isAdmin(userId))) return [];
+  return [true, false].filter((cs) => length <= maxLengthFor(lengthPolicy, cs));
+}
 
-// Stats
-const statsFile = path.join(__dirname, 'vanity_addresses.jsonl');
+const CASE_FLAGS = ['-c', '--case'];
+const EXCLUDE_FLAGS = ['-x', '--exclude'];
+
+// "[type] pattern [-c|--case] [-x|--exclude word,word]" after /generate, /estimate or
+// the bot's @username. The type defaults to prefix; null for an unknown flag.
+function parsePatternArgs(text) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const rest = [];
+  let caseSensitive = false;
+  let exclude = '';
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i].toLowerCase();
+    if (CASE_FLAGS.includes(word)) caseSensitive = true;
+    else if (EXCLUDE_FLAGS.includes(word) && i + 1 < words.length) exclude = words[++i];
+    else if (word.startsWith('-')) return null;
+    else rest.push(words[i]);
+  }
 
-function logStatistic(userId, data) {
-  const entry = { timestamp: new Date().toISOString(), userId, ...data };
-  fs.appendFileSync(statsFile, JSON.stringify(entry) + '\n');
+  const searchType = SEARCH_TYPES[rest[0]?.toLowerCase()] ? rest.shift().toLowerCase() : 'prefix';
+  return { searchType, vanityString: rest.join(' '), caseSensitive, exclude };
 }
 
-function getStats(userId) {
-  if (!fs.existsSync(statsFile)) return { count: 0, total: 0 };
+function generateCommand({ searchType, vanityString, caseSensitive, exclude = '' }) {
+  return `/generate ${searchType} ${vanityString}${caseSensitive ? ' -c' : ''}${exclude ? ` -x ${exclude}` : ''}`;
+}
 
-  const lines = fs.readFileSync(statsFile, 'utf-8').split('\n').filter(l => l);
-  const userLines = lines.filter((l) => {
-    try {
-      return JSON.parse(l).userId === userId;
-    } catch {
-      return false;
-    }
-  });
+// /start payload that runs generateCommand() - null if too long for a deep link (64 chars)
+function generatePayload(params) {
+  const payload = `gen-${Buffer.from(generateCommand(params).slice('/generate '.length)).toString('base64url')}`;
+  return payload.length <= 64 ? payload : null;
+}
 
-  return { count: userLines.length, total: lines.length };
+function parseGeneratePayload(payload) {
+  return payload.startsWith('gen-') ? Buffer.from(payload.slice(4), 'base64url').toString() : null;
 }
 
-async function getQueueSize() {
-  const waiting = await vanityQueue.getWaitingCount();
-  const active = await vanityQueue.getActiveCount();
-  return { waiting, active, total: waiting + active };
+function formatEstimate(t, params, keysPerSecond) {
+  const { attempts, seconds } = estimate(params, keysPerSecond);
+  if (seconds === null) return t('estimate.attempts', { attempts: formatCount(attempts) });
+  return t('estimate.withTime', { attempts: formatCount(attempts), duration: formatDuration(seconds) });
 }
 
-async function waitForJobCompletion(jobId, maxWaitMs = 3600000) {
-  const startTime = Date.now();
+function tierFor(userId) {
+  return userTier(userLimits, userId, isAdmin(userId));
+}
 
-  try {
-    const job = await vanityQueue.getJob(jobId);
-    if (!job) throw new Error('Job not found in queue');
+// Why the user can't start this generation right now, or null.
+// Seed-phrase attempts count as their cost against the difficulty limit.
+async function limitMessage(t, userId, params) {
+  const block = await checkLimits(redisForResults, tierFor(userId), userId, expectedWork(params) * params.numWallets);
+  if (!block) return null;
+
+  const resets = block.resetsAt ? t('limits.resets', { duration: formatDuration((block.resetsAt - Date.now()) / 1000) }) : '';
+  const limits = {
+    jobsPerHour: () => t('limits.jobsPerHour', { count: block.limit, resets }),
+    jobsPerDay: () => t('limits.jobsPerDay', { count: block.limit, resets }),
+    cpuSecondsPerDay: () => t('limits.cpuSecondsPerDay', { limit: formatDuration(block.limit), resets }),
+    maxExpectedAttempts: () =>
+      t('limits.maxExpectedAttempts', { used: formatCount(block.used), limit: formatCount(block.limit) }),
+  };
+  return limits[block.reason]();
+}
 
-    console.log(`Job ${jobId} Waiting for job to finish (max ${maxWaitMs / 1000}s)...`);
+// Search mode picker - one button per entry in SEARCH_TYPES
+function searchTypeKeyboard(t) {
+  const button = (searchType) => ({ text: t(`searchTypes.${searchType}.button`), callback_data: `type_${searchType}` });
+  return {
+    inline_keyboard: [
+      [button('prefix'), button('suffix')],
+      [button('both'), button('contains')],
+      [button('multi')],
+    ],
+  };
+}
 
-    await Promise.race([
-      job.waitUntilFinished(queueEvents),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Job timeout')), maxWaitMs)
-      ),
-    ]);
+const BATCH_SIZES = [1, 5, 10];
+// Larger batches are delivered as a file
+const MESSAGE_BATCH_LIMIT = 5;
 
-    const elapsed = Math.round((Date.now() - startTime) / 1000);
-    console.log(`Job ${jobId} Job finished after ${elapsed}s`);
+function cancelKeyboard(t) {
+  return { inline_keyboard: [[{ text: t('buttons.cancel'), callback_data: 'cancel_gen' }]] };
+}
 
-    const resultJson = await redisForResults.get(`vanity-result:${jobId}`);
-    if (!resultJson) throw new Error('Result not in Redis - job may have failed');
+function formatProgressMessage(t, params, progress) {
+  const { searchType, vanityString, caseSensitive, numWallets = 1 } = params;
+  const { attempts, keysPerSecond, found = 0, shards, filtered } = progress;
+
+  // The search is memoryless: the attempts behind it don't bring the next match any
+  // closer, so each wallet still to find takes the full expected attempts from now
+  const remaining = expectedAttempts(params) * Math.max(numWallets - found, 1);
+  const eta = `~${formatDuration(keysPerSecond > 0 ? remaining / keysPerSecond : Infinity)}`;
+
+  return t('progress.text', {
+    type: searchTypeLabel(t, searchType),
+    pattern: vanityString,
+    case: caseLabel(t, caseSensitive),
+    attempts: formatCount(attempts),
+    speed: formatCount(keysPerSecond),
+    shards: shards > 1 ? t('progress.shards', { count: shards }) : '',
+    filtered: filtered ? t('progress.filtered', { count: formatCount(filtered) }) : '',
+    odds: numWallets > 1
+      ? t('progress.found', { found, total: numWallets })
+      : t('progress.chance', { chance: formatPercent(successChance(params, attempts)) }),
+    eta,
+  });
+}
 
-    return JSON.parse(resultJson);
-  } catch (error) {
-    console.error(`Job ${jobId} Wait failed: ${error.message}`);
-    throw error;
-  }
-}
-
-async function handleGeneration(
-  queue,
-  events,
-  redis,
-  chatId,
-  messageId,
-  searchType,
-  vanityString,
-  caseSensitive,
-  userId,
-  ctx,
-  userJobs
-) {
-  let jobId = null;
-  try {
-    const job = await queue.add('vanity-generation', {
-      searchType,
-      vanityString,
-      caseSensitive,
-      userId,
+function reportFailure(t, chatId, messageId, error) {
+  return bot.telegram
+    .editMessageText(
       chatId,
-    });
-
-    jobId = job.id;
-    userJobs.set(userId, jobId);
-
-    console.log(`Job ${job.id} created for user ${userId}`);
+      messageId,
+      null,
+      error.message === CANCELLED ? t('failure.cancelled') : t('failure.failed', { error: escapeHtml(error.message) }),
+      {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [[{ text: t('buttons.generateAgain'), callback_data: 'start_gen' }]],
+        },
+      }
+    )
+    .catch(() => {});
+}
 
-    const result = await waitForJobCompletion(job.id);
+// Tell the user a restart interrupted their running job and it carries on from its checkpoint
+function notifyResumed(t, { chatId, messageId }, attempts) {
+  return bot.telegram
+    .sendMessage(chatId, t('resume.notice', { attempts: formatCount(attempts) }), {
+      parse_mode: 'HTML',
+      reply_parameters: { message_id: messageId, allow_sending_without_reply: true },
+    })
+    .catch(() => {});
+}
 
-    if (!result || !result.address) throw new Error('Invalid result');
+// Deliver a finished job to the chat that asked for it - once, by whichever
+// bot process claims it first
+async function finishJob(jobId, failedReason = null) {
+  const tracked = await claimDelivery(redisForResults, jobId);
+  if (!tracked) return;
 
-    logStatistic(userId, {
-      searchType,
-      vanityString,
-      caseSensitive,
-      address: result.address,
-      attempts: result.attempts,
-      timeMs: result.time * 1000,
-    });
+  const { userId, chatId, messageId, request } = tracked;
+  const log = logger.child({ jobId, userId });
+  const t = createTranslator(resolveLocale(tracked.locale));
+  const { searchType, vanityString, caseSensitive, numWallets } = request;
+  const record = { userId, searchType, vanityString, caseSensitive, numWallets };
+  let recorded = false;
 
-    const telegram = ctx.telegram;
+  try {
+    if (failedReason) throw new Error(failedReason);
 
-    await telegram.deleteMessage(chatId, messageId).catch(() => {});
+    const result = await loadResult(redisForResults, resultKey, jobId);
+    if (!result || !result.address) throw new Error('Result not in Redis - job may have failed');
 
-    await telegram.sendMessage(
-      chatId,
-      `<b>🔑 Wallet Details</b>
+    log.info('Delivering result');
+    const passphrase = tracked.passphrase && unseal(resultKey, tracked.passphrase);
 
-<b>Public Address</b>
-<code>${result.address}</code>
+    const wallets = result.wallets || [result];
 
-<b>Private Key</b>
-<code>${result.privateKeyBase58}</code>
+    // Addresses only - keys are never recorded
+    recorded = true;
+    await statsRepository
+      .recordJob({
+        ...record,
+        attempts: result.attempts,
+        durationMs: result.time * 1000,
+        outcome: 'success',
+        addresses: wallets.map((w) => w.address),
+      })
+      .catch((err) => log.error('Stats error', { err }));
 
-<b>Import to Phantom</b>
-1. Click "Add Account"
-2. Choose "Import Private Key"
-3. Paste private key above
+    const telegram = bot.telegram;
 
-<i>🔐 Keep this secret!</i>
+    await telegram.deleteMessage(chatId, messageId).catch(() => {});
 
-Want another?`,
-      {
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: [[{ text: '🔄 Generate Again', callback_data: 'start_gen' }]],
-        },
+    const againKeyboard = {
+      inline_keyboard: [[{ text: t('buttons.anotherOne'), callback_data: 'start_gen' }]],
+    };
+    const addresses = wallets.map((w) => `<code>${w.address}</code>`).join('\n');
+    const filtered = result.filtered ? t('delivery.filtered', { count: formatCount(result.filtered) }) : '';
+
+    if (result.tweak) {
+      const list = wallets
+        .map((w) => t('delivery.splitItem', { address: w.address, tweak: w.tweak }))
+        .join('\n\n');
+
+      await telegram.sendMessage(chatId, t('delivery.split', { list }) + filtered, { parse_mode: 'HTML', reply_markup: againKeyboard });
+    } else if (result.mnemonic && wallets.length <= MESSAGE_BATCH_LIMIT) {
+      const list = wallets
+        .map((w) => t('delivery.mnemonicItem', {
+          address: w.address,
+          matched: searchType === 'multi' ? t('delivery.matchedPattern', { pattern: w.matchedPattern }) : '',
+          words: t('delivery.mnemonicWords', { count: w.mnemonic.split(' ').length }),
+          mnemonic: w.mnemonic,
+        }))
+        .join('\n\n');
+
+      await telegram.sendMessage(
+        chatId,
+        t('delivery.mnemonic', { list, path: result.derivationPath }) + filtered,
+        { parse_mode: 'HTML', reply_markup: againKeyboard }
+      );
+    } else if (result.mnemonic) {
+      // Too long for one message - send the phrases as a file
+      const file = wallets.map(({ address, matchedPattern, mnemonic, derivationPath }) => ({
+        address,
+        matchedPattern,
+        mnemonic,
+        derivationPath,
+      }));
+
+      await telegram.sendDocument(
+        chatId,
+        { source: Buffer.from(JSON.stringify(file, null, 2)), filename: `vanity-seed-phrases-${jobId}.json` },
+        {
+          caption: t('delivery.mnemonicFile', { count: wallets.length, addresses, path: result.derivationPath }) + filtered,
+          parse_mode: 'HTML',
+          reply_markup: againKeyboard,
+        }
+      );
+    } else if (request.delivery === 'mint') {
+      // Only keypairs a mint can be created with - checked before anything is sent
+      wallets.forEach((w) => checkMintKeypair(w.privateKeyBytes, w.address));
+
+      for (const w of wallets) {
+        await telegram.sendDocument(
+          chatId,
+          { source: Buffer.from(solanaCliKeypair(w.privateKeyBytes)), filename: `${w.address}.json` },
+          {
+            caption: t('delivery.mint', { address: w.address, privateKey: w.privateKeyBase58 }) + filtered,
+            parse_mode: 'HTML',
+            reply_markup: againKeyboard,
+          }
+        );
       }
-    );
-  } catch (error) {
-    console.error(`User ${userId} Generation error: ${error.message}`);
+    } else if (passphrase) {
+      const archive = await buildKeyArchive(wallets, passphrase);
 
-    await ctx.telegram
-      .editMessageText(
+      await telegram.sendDocument(
         chatId,
-        messageId,
-        null,
-        `<b>❌ Generation ${error.message === 'Cancelled' ? 'cancelled' : 'failed'}</b>
-
-${error.message === 'Cancelled' ? 'Your wallet generation has been cancelled.' : `<code>${error.message}</code>`}
+        { source: archive, filename: `vanity-keys-${jobId}.zip` },
+        {
+          caption: t('delivery.encrypted', { count: wallets.length, addresses }) + filtered,
+          parse_mode: 'HTML',
+          reply_markup: againKeyboard,
+        }
+      );
+    } else if (wallets.length === 1) {
+      await telegram.sendMessage(
+        chatId,
+        t('delivery.single', {
+          address: result.address,
+          matched: searchType === 'multi' ? t('delivery.matchedPattern', { pattern: result.matchedPattern }) : '',
+          privateKey: result.privateKeyBase58,
+        }) + filtered,
+        { parse_mode: 'HTML', reply_markup: againKeyboard }
+      );
+    } else if (wallets.length <= MESSAGE_BATCH_LIMIT) {
+      const list = wallets
+        .map((w, i) => `<b>#${i + 1}</b>${searchType === 'multi' ? ` (${w.matchedPattern})` : ''}
+<code>${w.address}</code>
+<code>${w.privateKeyBase58}</code>`)
+        .join('\n\n');
+
+      await telegram.sendMessage(
+        chatId,
+        t('delivery.batch', { count: wallets.length, list }) + filtered,
+        { parse_mode: 'HTML', reply_markup: againKeyboard }
+      );
+    } else {
+      // Too long for one message - send the keys as a file
+      const file = wallets.map(({ address, matchedPattern, privateKeyBase58, privateKeyBytes }) => ({
+        address,
+        matchedPattern,
+        privateKeyBase58,
+        privateKeyBytes,
+      }));
+
+      await telegram.sendDocument(
+        chatId,
+        { source: Buffer.from(JSON.stringify(file, null, 2)), filename: `vanity-wallets-${jobId}.json` },
+        {
+          caption: t('delivery.file', { count: wallets.length, addresses }) + filtered,
+          parse_mode: 'HTML',
+          reply_markup: againKeyboard,
+        }
+      );
+    }
 
-Try /generate again`,
-        { parse_mode: 'HTML' }
-      )
-      .catch(() => {});
+    // Delivered - don't keep private keys around any longer than needed
+    await deleteResult(redisForResults, jobId).catch(() => {});
+  } catch (error) {
+    log.warn('Generation failed', { err: error.message });
+    await reportFailure(t, chatId, messageId, error);
+
+    if (!recorded) {
+      // Failed and timed-out jobs stay in the queue for a while with their last progress
+      const job = await vanityQueue.getJob(jobId).catch(() => null);
+      const progress = typeof job?.progress === 'object' ? job.progress : {};
+      await statsRepository
+        .recordJob({
+          ...record,
+          attempts: progress.attempts || 0,
+          durationMs: (progress.elapsed || 0) * 1000,
+          outcome: outcomeOf(error),
+        })
+        .catch((err) => log.error('Stats error', { err }));
+    }
   } finally {
-    userJobs.delete(userId);
+    await releaseUser(redisForResults, userId).catch(() => {});
+  }
+}
+
+// Settle a tracked job whose events may have been missed - it finished while
+// the bot was down, or before it was tracked
+async function settleTrackedJob(jobId) {
+  if (await hasResult(redisForResults, jobId)) return finishJob(jobId);
+
+  const job = await vanityQueue.getJob(jobId);
+  if (!job) {
+    // It may have completed (and been removed) in between
+    if (await hasResult(redisForResults, jobId)) return finishJob(jobId);
+    const cancelled = await isCancelRequested(redisForResults, jobId);
+    return finishJob(jobId, cancelled ? CANCELLED : 'Job was lost');
   }
+
+  const state = await job.getState();
+  if (state === 'failed') return finishJob(jobId, job.failedReason || 'Job failed');
+  if (state === 'completed') return finishJob(jobId);
+  // Still waiting or running - its events will follow
 }
 
 // Telegram Bot
 const bot = new Telegraf(BOT_TOKEN);
 
-const sessions = new Map();
+// Updates being handled right now - shutdown waits for them
+let updatesInFlight = 0;
+const UPDATE_DRAIN_TIMEOUT_MS = 10000;
 
-// ✅ Track users currently generating
-const generatingUsers = new Set();
+bot.use(async (ctx, next) => {
+  updatesInFlight++;
+  try {
+    await next();
+  } finally {
+    updatesInFlight--;
+  }
+});
 
-// ✅ Track jobId for each user (for cancellation)
-const userJobs = new Map();
+async function waitForUpdates(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (updatesInFlight > 0 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
 
+// Sessions live in Redis so a restart doesn't lose a user mid-flow
 bot.use(
   session({
     defaultSession: () => ({}),
     property: 'session',
-    getSessionKey: (ctx) => {
-      if (ctx.from?.id) {
-        const key = `user-${ctx.from.id}`;
-        if (!sessions.has(key)) {
-          sessions.set(key, {});
-        }
-        return key;
-      }
-      return null;
-    },
-    store: {
-      get: (key) => sessions.get(key) || {},
-      set: (key, val) => sessions.set(key, val),
-      delete: (key) => sessions.delete(key),
-    },
+    getSessionKey: (ctx) => (ctx.from?.id ? `user-${ctx.from.id}` : undefined),
+    store: redisSessionStore(redisForResults),
   })
 );
 
-// LOGGING MIDDLEWARE - LOGS EVERY UPDATE
+// One line per update with the command or button pressed - never the text a user
+// typed (patterns, passphrases and public keys stay out of the logs).
+// ctx.log carries the update and user id into everything logged for this update.
 bot.use((ctx, next) => {
-  const timestamp = new Date().toISOString();
-  const userId = ctx.from?.id || 'unknown';
-  const text = ctx.message?.text || ctx.callbackQuery?.data || 'no-text';
-  console.log(`[${timestamp}] USER ${userId}: ${text}`);
+  ctx.log = logger.child({ updateId: ctx.update.update_id, userId: ctx.from?.id });
+
+  const text = ctx.message?.text;
+  ctx.log.info('Update received', {
+    type: ctx.updateType,
+    command: text?.startsWith('/') ? text.split(/[\s@]/)[0] : undefined,
+    action: ctx.callbackQuery?.data,
+  });
   return next();
 });
 
-bot.command('start', async (ctx) => {
-  try {
-    console.log(`[START] User ${ctx.from.id}`);
-    const stats = getStats(ctx.from.id);
-    const queueSize = await getQueueSize();
+// ctx.t translates into the language chosen with /language, else the user's Telegram language
+bot.use(async (ctx, next) => {
+  ctx.t = createTranslator(await userLocale(redisForResults, ctx.from?.id, ctx.from?.language_code));
+  return next();
+});
 
-    await ctx.replyWithHTML(
-      `<b>🔑 Solana Vanity Address Generator</b>
+// Banned users are turned away; everyone else is remembered for /broadcast
+bot.use(async (ctx, next) => {
+  const userId = ctx.from?.id;
+  if (!userId) return next();
 
-Premium custom address generation service!
+  if (!isAdmin(userId) && (await isBanned(redisForResults, userId))) {
+    if (ctx.callbackQuery) await ctx.answerCbQuery(ctx.t('banned.alert')).catch(() => {});
+    else if (ctx.message) await ctx.reply(ctx.t('banned.message')).catch(() => {});
+    return;
+  }
 
-<b>Queue Status</b>
-🟢 Active: ${queueSize.active}
-⏳ Waiting: ${queueSize.waiting}
+  await rememberUser(redisForResults, userId).catch(() => {});
+  return next();
+});
+
+bot.command('start', async (ctx) => {
+  try {
+    // Deep link from an inline query result
+    const generateArgs = parseGeneratePayload(ctx.payload || '');
+    if (generateArgs) {
+      await generateFromArgs(ctx, generateArgs);
+      return;
+    }
 
-<b>Your Stats</b>
-📊 Generated: ${stats.count}
-📈 Total: ${stats.total}
+    const stats = await statsRepository.getUserStats(ctx.from.id);
+    const queueSize = await getQueueSize(vanityQueue);
 
-<b>Commands</b>
-/generate - Start generation
-/info - How it works
-/stats - View stats
-/about - About this bot`,
+    await ctx.replyWithHTML(
+      ctx.t('start.text', {
+        active: queueSize.active,
+        waiting: queueSize.waiting,
+        addresses: stats.addresses,
+        jobs: stats.jobs,
+      }),
       {
         reply_markup: {
-          inline_keyboard: [[{ text: '🚀 Generate Now', callback_data: 'start_gen' }]],
+          inline_keyboard: [[{ text: ctx.t('buttons.generateNow'), callback_data: 'start_gen' }]],
         },
       }
     );
   } catch (err) {
-    console.error('Start command error:', err);
+    ctx.log.error('Start command failed', { err });
   }
 });
 
 bot.command('generate', async (ctx) => {
   try {
-    console.log(`[GENERATE] User ${ctx.from.id}`);
     const userId = ctx.from.id;
 
     // ✅ Check if user already generating
-    if (generatingUsers.has(userId)) {
-      await ctx.replyWithHTML(
-        `⚠️ <b>You already have a generation in progress!</b>
+    if (await isGenerating(redisForResults, userId)) {
+      await ctx.replyWithHTML(ctx.t('generate.busy'), { parse_mode: 'HTML' });
+      return;
+    }
 
-Please wait for your current wallet to finish generating before starting a new one.`,
-        { parse_mode: 'HTML' }
-      );
+    if (ctx.payload.trim()) {
+      await generateFromArgs(ctx, ctx.payload);
       return;
     }
 
-    const queueSize = await getQueueSize();
+    const queueSize = await getQueueSize(vanityQueue);
 
     await ctx.replyWithHTML(
-      `<b>🎯 Vanity Address Generation</b>
-
-Queue: ${queueSize.active} active, ${queueSize.waiting} waiting
-
-What do you want to find?`,
-      {
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: '📍 Prefix', callback_data: 'type_prefix' },
-              { text: '🔚 Suffix', callback_data: 'type_suffix' },
-            ],
-          ],
-        },
-      }
+      ctx.t('generate.title', { active: queueSize.active, waiting: queueSize.waiting }),
+      { reply_markup: searchTypeKeyboard(ctx.t) }
     );
   } catch (err) {
-    console.error('Generate command error:', err);
+    ctx.log.error('Generate command failed', { err });
   }
 });
 
+// One-shot /generate [type] pattern [-c] [-x word,word] - validated like a typed pattern,
+// then straight to the batch size question (case-insensitive unless -c is given)
+async function generateFromArgs(ctx, text) {
+  const userId = ctx.from.id;
+  const args = parsePatternArgs(text);
+
+  if (!args?.vanityString) {
+    const types = Object.keys(SEARCH_TYPES).map((type) => `<code>${type}</code>`).join(', ');
+    await ctx.replyWithHTML(ctx.t('generate.usage', { types }));
+    return;
+  }
+
+  if (await isGenerating(redisForResults, userId)) {
+    await ctx.replyWithHTML(ctx.t('generate.busy'));
+    return;
+  }
+
+  const { searchType, vanityString, caseSensitive } = args;
+  const { alternatives, exclude, error } = validatePattern(
+    ctx.t,
+    userId,
+    searchType,
+    vanityString,
+    (fixed) => generateCommand({ ...args, vanityString: fixed }),
+    args.exclude
+  );
+  if (error) {
+    await ctx.replyWithHTML(error);
+    return;
+  }
+
+  const length = alternativesLength(alternatives);
+  if (!caseOptionsFor(userId, length).includes(caseSensitive)) {
+    await ctx.replyWithHTML(ctx.t('pattern.notAllowed', { length }));
+    return;
+  }
+
+  ctx.session = { searchType, vanityString, caseSensitive, exclude };
+
+  const { text: question, extra } = walletCountQuestion(ctx.t, ctx.session);
+  await ctx.reply(question, extra);
+}
+
 bot.command('info', async (ctx) => {
   try {
-    console.log(`[INFO] User ${ctx.from.id} - sending info...`);
+    // Expected time (or attempts) for a typical letter suffix on the measured hardware
+    const keysPerSecond = await getThroughput(redisForResults);
+    const cell = (caseSensitive, length) => {
+      const params = { searchType: 'suffix', vanityString: 'abcd'.slice(0, length), caseSensitive };
+      const { attempts, seconds } = estimate(params, keysPerSecond);
+      if (seconds === null) return `~${formatCount(attempts)}`.padEnd(11);
+      return (seconds < 1 ? '<1s' : `~${formatDuration(seconds)}`).padEnd(11);
+    };
+    const row = (first, insensitive, sensitive) => `${first.padEnd(13)} │ ${insensitive.padEnd(11)} │ ${sensitive}`;
+    const timeTable = [
+      row(ctx.t('info.columnLength'), ctx.t('info.columnInsensitive'), ctx.t('info.columnSensitive')),
+      '──────────────┼─────────────┼──────────',
+      ...[1, 2, 3, 4].map((n) => row(ctx.t('info.chars', { count: n }), cell(false, n), cell(true, n))),
+    ].join('\n');
+
+    await ctx.replyWithHTML(ctx.t('info.text', { table: timeTable }), { parse_mode: 'HTML' });
+  } catch (err) {
+    ctx.log.error('/info failed', { err });
+  }
+});
+
+bot.command('estimate', async (ctx) => {
+  try {
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    const searchType = SEARCH_TYPES[args[0]] ? args.shift() : 'prefix';
+    const vanityString = args.join(' ');
 
-    await ctx.replyWithHTML(
-      `<b>How Vanity Addresses Work</b>
+    if (!vanityString) {
+      const types = Object.keys(SEARCH_TYPES).map((type) => `<code>${type}</code>`).join(', ');
+      await ctx.replyWithHTML(ctx.t('estimate.usage', { types }));
+      return;
+    }
 
-A custom address starting/ending with your chosen text.
+    try {
+      parsePattern(searchType, vanityString);
+    } catch (err) {
+      if (!(err instanceof PatternError)) throw err;
+      await ctx.replyWithHTML(patternErrorMessage(ctx.t, err, MAX_PATTERN_LENGTH));
+      return;
+    }
 
-<b>⏱️ Generation Time Estimate</b>
+    const keysPerSecond = await getThroughput(redisForResults);
+    const lines = [true, false].map((caseSensitive) => {
+      const params = { searchType, vanityString, caseSensitive };
+      const { likelyAttempts, likelySeconds } = estimate(params, keysPerSecond);
+      const likely = likelySeconds === null
+        ? ctx.t('estimate.attempts', { attempts: formatCount(likelyAttempts) })
+        : `~${formatDuration(likelySeconds)}`;
+      return ctx.t('estimate.line', {
+        case: caseLabel(ctx.t, caseSensitive),
+        estimate: formatEstimate(ctx.t, params, keysPerSecond),
+        likely,
+      });
+    });
+    // Seed-phrase searches where a worker can run them
+    if ((await getWorkers(redisForResults)).some((w) => w.capabilities.mnemonic)) {
+      lines.push(ctx.t('estimate.mnemonic', { cost: MNEMONIC_ATTEMPT_COST }));
+    }
 
-<pre>String Length │ Insensitive │ Sensitive
-─────────────┼─────────────┼──────────
-1 char       │ 1 sec       │ 1-2 sec
-2 chars      │ 1-5 sec     │ 5-30 sec
-3 chars      │ 10-60 sec   │ 1-5 min
-4 chars      │ 2-10 min    │ 10-60 min</pre>
+    await ctx.replyWithHTML(
+      ctx.t('estimate.result', {
+        type: searchTypeLabel(ctx.t, searchType),
+        pattern: escapeHtml(vanityString),
+        lines: lines.join('\n\n'),
+        speed: keysPerSecond ? ctx.t('estimate.speed', { speed: formatCount(keysPerSecond) }) : ctx.t('estimate.noSpeed'),
+      })
+    );
+  } catch (err) {
+    ctx.log.error('/estimate failed', { err });
+  }
+});
 
-<b>💡 Tips</b>
-📍 <b>Prefix search</b> is case-insensitive by default
-🔚 <b>Suffix search</b> works with both cases
-🔤 <b>Case-sensitive</b> takes longer but matches exact casing
+bot.command('stats', async (ctx) => {
+  try {
+    const stats = await statsRepository.getUserStats(ctx.from.id);
+    const totals = await statsRepository.getTotals();
+    const queueSize = await getQueueSize(vanityQueue);
+    const tier = tierFor(ctx.from.id);
+    const usage = await getUsage(redisForResults, ctx.from.id);
+    const remaining = (limit, used, format = formatCount) =>
+      limit === null
+        ? ctx.t('stats.unlimited')
+        : ctx.t('stats.remaining', { left: format(Math.max(limit - used, 0)), limit: format(limit) });
 
-<b>🔐 Security</b>
-✅ 100% generated locally
-✅ Never logged
-✅ Safe to use immediately`,
+    await ctx.replyWithHTML(
+      ctx.t('stats.text', {
+        ...stats,
+        tier: tier.name,
+        hour: remaining(tier.jobsPerHour, usage.jobsThisHour),
+        day: remaining(tier.jobsPerDay, usage.jobsToday),
+        cpu: remaining(tier.cpuSecondsPerDay, usage.cpuSecondsToday, formatDuration),
+        active: queueSize.active,
+        waiting: queueSize.waiting,
+        total: formatCount(totals.addresses),
+      }),
       { parse_mode: 'HTML' }
     );
+  } catch (err) {
+    ctx.log.error('/stats failed', { err });
+  }
+});
+
+const HISTORY_PAGE_SIZE = 5;
 
-    console.log(`[INFO] User ${ctx.from.id} - info sent!`);
+async function historyPage(t, userId, page) {
+  const { entries, total, pages } = await statsRepository.getHistory(userId, page, HISTORY_PAGE_SIZE);
+
+  if (!total) {
+    return { text: t('history.empty'), reply_markup: undefined };
+  }
+
+  const list = entries
+    .map((entry) => {
+      const date = new Date(entry.timestamp).toISOString().slice(0, 16).replace('T', ' ');
+      const addresses = entry.addresses.map((address) => `<code>${address}</code>`).join('\n');
+      const summary = t('history.entry', {
+        type: searchTypeLabel(t, entry.searchType),
+        pattern: entry.vanityString,
+        case: entry.caseSensitive ? '🔤' : '🔡',
+        wallets: entry.numWallets > 1 ? ` x${entry.numWallets}` : '',
+        attempts: formatCount(entry.attempts),
+        duration: formatDuration(entry.durationMs / 1000),
+      });
+      return `<b>${date}</b> ${t(`history.outcomes.${entry.outcome}`)}
+${summary}${addresses ? `\n${addresses}` : ''}`;
+    })
+    .join('\n\n');
+
+  const buttons = [];
+  if (page > 0) buttons.push({ text: t('buttons.newer'), callback_data: `history_${page - 1}` });
+  if (page < pages - 1) buttons.push({ text: t('buttons.older'), callback_data: `history_${page + 1}` });
+
+  return {
+    text: t('history.title', { page: page + 1, pages, list }),
+    reply_markup: buttons.length ? { inline_keyboard: [buttons] } : undefined,
+  };
+}
+
+bot.command('history', async (ctx) => {
+  try {
+    const { text, reply_markup } = await historyPage(ctx.t, ctx.from.id, 0);
+    await ctx.replyWithHTML(text, { reply_markup });
   } catch (err) {
-    console.error('[INFO] ERROR:', err.message, err);
+    ctx.log.error('/history failed', { err });
   }
 });
 
-bot.command('stats', async (ctx) => {
+bot.action(/^history_(\d+)$/, async (ctx) => {
   try {
-    console.log(`[STATS] User ${ctx.from.id} - sending stats...`);
-    const stats = getStats(ctx.from.id);
-    const queueSize = await getQueueSize();
+    await ctx.answerCbQuery();
 
-    await ctx.replyWithHTML(
-      `<b> Your Statistics</b>
+    const { text, reply_markup } = await historyPage(ctx.t, ctx.from.id, parseInt(ctx.match[1]));
+    await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup });
+  } catch (err) {
+    ctx.log.error('/history failed', { err });
+  }
+});
 
-Addresses generated: <code>${stats.count}</code>
-Total orders: <code>${stats.total}</code>
+// Guard for admin-only commands
+async function adminOnly(ctx, next) {
+  if (isAdmin(ctx.from?.id)) return next();
 
-<b>System Status</b>
-Active generations: ${queueSize.active}
-Queued: ${queueSize.waiting}
+  await ctx.replyWithHTML(ctx.t('admin.unauthorized'));
+}
 
-/generate to create more!`,
-      { parse_mode: 'HTML' }
+function commandArgs(ctx) {
+  return ctx.message.text.split(/\s+/).slice(1);
+}
+
+const QUEUE_LIST_LIMIT = 20;
+
+bot.command('queue', adminOnly, async (ctx) => {
+  try {
+    const queueSize = await getQueueSize(vanityQueue);
+    const paused = await vanityQueue.isPaused();
+    const jobs = (await vanityQueue.getJobs(['active', 'prioritized', 'waiting'], 0, QUEUE_LIST_LIMIT - 1, true))
+      .slice(0, QUEUE_LIST_LIMIT);
+
+    const lines = await Promise.all(
+      jobs.map(async (job) => {
+        const { userId, apiKey, vanityString, caseSensitive, numWallets = 1, shard, shards } = job.data;
+        const state = await job.getState();
+        const owner = userId ? ctx.t('admin.queue.user', { id: userId }) : ctx.t('admin.queue.api', { name: apiKey });
+        const age = formatDuration((Date.now() - job.timestamp) / 1000);
+        return `${state === 'active' ? '⚙️' : '⏳'} <code>${job.id}</code> ${owner} <code>${vanityString}</code> ${
+          caseSensitive ? '🔤' : '🔡'
+        }${numWallets > 1 ? ` x${numWallets}` : ''}${shards ? ` 🧩 ${shard + 1}/${shards}` : ''} · ${age}`;
+      })
     );
 
-    console.log(`[STATS] User ${ctx.from.id} - stats sent!`);
+    await ctx.replyWithHTML(
+      ctx.t('admin.queue.text', {
+        paused: paused ? ctx.t('admin.queue.paused') : '',
+        active: queueSize.active,
+        waiting: queueSize.waiting,
+        jobs: lines.length ? lines.join('\n') : ctx.t('admin.queue.empty'),
+        more: queueSize.total > lines.length ? ctx.t('admin.queue.more', { count: queueSize.total - lines.length }) : '',
+      })
+    );
   } catch (err) {
-    console.error('[STATS] ERROR:', err.message, err);
+    ctx.log.error('/queue failed', { err });
   }
 });
 
-// ✅ NEW: Admin command to clear queue
-bot.command('clearqueue', async (ctx) => {
+bot.command('kill', adminOnly, async (ctx) => {
   try {
-    const adminIds = (process.env.ADMIN_IDS || '').split(',').map(id => parseInt(id.trim()));
-    
-    if (!adminIds.includes(ctx.from.id)) {
-      await ctx.replyWithHTML(
-        `❌ <b>Unauthorized</b>
+    const [jobId] = commandArgs(ctx);
+    if (!jobId) {
+      await ctx.replyWithHTML(ctx.t('admin.kill.usage'));
+      return;
+    }
 
-You don't have permission to use this command.`,
-        { parse_mode: 'HTML' }
-      );
+    const job = await vanityQueue.getJob(jobId);
+    if (!job || (await job.isCompleted()) || (await job.isFailed())) {
+      await ctx.replyWithHTML(ctx.t('admin.kill.notFound', { jobId: escapeHtml(jobId) }));
       return;
     }
 
-    console.log(`[CLEARQUEUE] Admin ${ctx.from.id} clearing queue...`);
+    await cancelJob(vanityQueue, redisForResults, jobId);
+    await audit(redisForResults, ctx.from.id, 'kill', { jobId, userId: job.data.userId, apiKey: job.data.apiKey });
 
-    // Clear all jobs from the queue
-    await vanityQueue.obliterate({ force: true });
-    
-    // Clear the generating users set
-    generatingUsers.clear();
-    userJobs.clear();
+    await ctx.replyWithHTML(ctx.t('admin.kill.done', { jobId }));
+  } catch (err) {
+    ctx.log.error('/kill failed', { err });
+  }
+});
 
-    await ctx.replyWithHTML(
-      `✅ <b>Queue Cleared!</b>
+bot.command('ban', adminOnly, async (ctx) => {
+  try {
+    const [target, ...reason] = commandArgs(ctx);
+    const userId = parseInt(target);
+    if (!userId) {
+      await ctx.replyWithHTML(ctx.t('admin.ban.usage'));
+      return;
+    }
+    if (isAdmin(userId)) {
+      await ctx.replyWithHTML(ctx.t('admin.ban.admin'));
+      return;
+    }
 
-All jobs have been removed from the queue.
-All users cleared from generation set.`,
-      { parse_mode: 'HTML' }
-    );
+    await banUser(redisForResults, userId);
+
+    // Stop whatever they are generating
+    const jobId = await getUserJob(redisForResults, userId);
+    if (jobId) await cancelJob(vanityQueue, redisForResults, jobId).catch(() => {});
 
-    console.log(`[CLEARQUEUE] Queue cleared successfully!`);
+    await audit(redisForResults, ctx.from.id, 'ban', { userId, reason: reason.join(' '), jobId });
+    await ctx.replyWithHTML(ctx.t(jobId ? 'admin.ban.doneWithJob' : 'admin.ban.done', { userId, jobId }));
   } catch (err) {
-    console.error('Clear queue error:', err);
-    await ctx.replyWithHTML(
-      `❌ <b>Error clearing queue</b>
+    ctx.log.error('/ban failed', { err });
+  }
+});
 
-<code>${err.message}</code>`,
-      { parse_mode: 'HTML' }
-    );
+bot.command('unban', adminOnly, async (ctx) => {
+  try {
+    const userId = parseInt(commandArgs(ctx)[0]);
+    if (!userId) {
+      await ctx.replyWithHTML(ctx.t('admin.unban.usage'));
+      return;
+    }
+
+    const wasBanned = await unbanUser(redisForResults, userId);
+    if (wasBanned) await audit(redisForResults, ctx.from.id, 'unban', { userId });
+
+    await ctx.replyWithHTML(ctx.t(wasBanned ? 'admin.unban.done' : 'admin.unban.notBanned', { userId }));
+  } catch (err) {
+    ctx.log.error('/unban failed', { err });
   }
 });
 
-bot.command('about', async (ctx) => {
+bot.command('broadcast', adminOnly, async (ctx) => {
   try {
-    console.log(`[ABOUT] User ${ctx.from.id} - sending about...`);
+    const text = ctx.message.text.replace(/^\/broadcast(@\w+)?\s*/, '');
+    if (!text) {
+      await ctx.replyWithHTML(ctx.t('admin.broadcast.usage'));
+      return;
+    }
 
-    await ctx.replyWithHTML(
-      `<b> About Solvan</b>
+    await audit(redisForResults, ctx.from.id, 'broadcast', { text });
+    await ctx.replyWithHTML(ctx.t('admin.broadcast.started'));
 
-<b>Solana Vanity Address Generator</b>
+    // Throttled - can take minutes, so don't hold up the update
+    broadcast(redisForResults, bot.telegram, text)
+      .then(({ sent, failed }) => ctx.replyWithHTML(ctx.t('admin.broadcast.done', { sent, failed })))
+      .catch((err) => ctx.log.error('/broadcast failed', { err }));
+  } catch (err) {
+    ctx.log.error('/broadcast failed', { err });
+  }
+});
 
-Open source project for generating custom Solana addresses
+const TIER_FIELDS = ['jobsPerHour', 'jobsPerDay', 'cpuSecondsPerDay', 'maxExpectedAttempts', 'priority'];
+
+const SETLIMIT_USAGE = `<code>/setlimit length N all|admins|id,id [minutes]</code>
+<code>/setlimit maxlength sensitive|insensitive N</code>
+<code>/setlimit tier NAME ${TIER_FIELDS.join('|')} VALUE|null</code>
+<code>/setlimit reset</code> - back to the .env settings`;
+
+function formatLimits(t) {
+  const { maxLength, lengths } = lengthPolicy;
+  const lengthLines = Object.entries(lengths).map(([length, { allow = 'all', timeoutMinutes = DEFAULT_TIMEOUT_MINUTES }]) =>
+    t('admin.setlimit.length', {
+      length,
+      allow: Array.isArray(allow) ? allow.join(', ') : allow,
+      timeout: formatDuration(timeoutMinutes * 60),
+    }));
+  const tierLines = Object.entries(userLimits.tiers).map(([name, tier]) =>
+    `${name}: ${TIER_FIELDS.map((field) => `${field}=${tier[field] ?? '∞'}`).join(' ')}`);
+
+  return t('admin.setlimit.limits', {
+    sensitive: maxLength.sensitive,
+    insensitive: maxLength.insensitive,
+    lengths: lengthLines.join('\n'),
+    tiers: tierLines.join('\n'),
+  });
+}
 
-<b>Build Your Own Bot</b>
-<code>https://github.com/whale-professor/Solvan</code>
+// Runtime changes to the length policy and tiers - stored in Redis for every process
+bot.command('setlimit', adminOnly, async (ctx) => {
+  try {
+    const [kind, ...args] = commandArgs(ctx);
+    const policy = structuredClone(lengthPolicy);
+    const tiers = structuredClone(userLimits.tiers);
+    let change;
+
+    if (kind === 'reset') {
+      await resetSettings(redisForResults);
+      change = { reset: true };
+    } else if (kind === 'length') {
+      const [length, allowText, minutes] = args;
+      const n = parseInt(length);
+      const allow = ['all', 'admins'].includes(allowText)
+        ? allowText
+        : (allowText || '').split(',').map((id) => parseInt(id)).filter(Boolean);
+      const timeoutMinutes = minutes === undefined ? policyForLength(policy, n).timeoutMs / 60000 : parseFloat(minutes);
+
+      if (!(n >= 1 && n <= MAX_PATTERN_LENGTH) || (Array.isArray(allow) && !allow.length) || !(timeoutMinutes > 0)) {
+        throw new Error('Invalid length rule');
+      }
+      policy.lengths[n] = { allow, timeoutMinutes };
+      change = { length: n, allow, timeoutMinutes };
+      await saveSetting(redisForResults, 'lengthPolicy', policy);
+    } else if (kind === 'maxlength') {
+      const [mode, length] = args;
+      const n = parseInt(length);
+      if (!['sensitive', 'insensitive'].includes(mode) || !(n >= 1 && n <= MAX_PATTERN_LENGTH)) {
+        throw new Error(`Invalid max length (1-${MAX_PATTERN_LENGTH})`);
+      }
+      policy.maxLength[mode] = n;
+      change = { maxLength: mode, value: n };
+      await saveSetting(redisForResults, 'lengthPolicy', policy);
+    } else if (kind === 'tier') {
+      const [name, field, valueText] = args;
+      const value = valueText === 'null' && field !== 'priority' ? null : parseFloat(valueText);
+      if (!tiers[name] || !TIER_FIELDS.includes(field) || (value !== null && !(value >= (field === 'priority' ? 1 : 0)))) {
+        throw new Error('Invalid tier setting');
+      }
+      tiers[name][field] = value;
+      change = { tier: name, field, value };
+      await saveSetting(redisForResults, 'tiers', tiers);
+    } else {
+      await ctx.replyWithHTML(ctx.t('admin.setlimit.current', { limits: formatLimits(ctx.t), usage: SETLIMIT_USAGE }));
+      return;
+    }
 
-<b>Features</b>
-✨ Prefix & Suffix generation
-🔐 100% local, secure generation
-📊 Statistics tracking
-⚡ Fast queue-based processing
+    await applySettings(redisForResults, { lengthPolicy, userLimits }, envSettings);
+    await audit(redisForResults, ctx.from.id, 'setlimit', change);
 
-<b>Contact & Support</b>
-Telegram: @WhaleProfessor
-GitHub Issues: Report bugs
+    await ctx.replyWithHTML(ctx.t('admin.setlimit.updated', { limits: formatLimits(ctx.t) }));
+  } catch (err) {
+    ctx.log.error('/setlimit failed', { err });
+    await ctx.replyWithHTML(ctx.t('admin.setlimit.error', { error: escapeHtml(err.message), usage: SETLIMIT_USAGE })).catch(() => {});
+  }
+});
 
-Built with ❤️ for the Solana community`,
-      { parse_mode: 'HTML' }
-    );
+// Pauses the whole queue - running jobs finish, workers take no new ones
+bot.command('pause', adminOnly, async (ctx) => {
+  try {
+    await vanityQueue.pause();
+    await audit(redisForResults, ctx.from.id, 'pause');
+    await ctx.replyWithHTML(ctx.t('admin.pause'));
+  } catch (err) {
+    ctx.log.error('/pause failed', { err });
+  }
+});
 
-    console.log(`[ABOUT] User ${ctx.from.id} - about sent!`);
+bot.command('resume', adminOnly, async (ctx) => {
+  try {
+    await vanityQueue.resume();
+    await audit(redisForResults, ctx.from.id, 'resume');
+    await ctx.replyWithHTML(ctx.t('admin.resume'));
   } catch (err) {
-    console.error('[ABOUT] ERROR:', err.message, err);
+    ctx.log.error('/resume failed', { err });
   }
 });
 
-bot.action('type_prefix', async (ctx) => {
+bot.command('audit', adminOnly, async (ctx) => {
   try {
-    await ctx.answerCbQuery();
+    const entries = await recentAudit(redisForResults, 15);
+    const lines = entries.map(({ timestamp, adminId, action, ...details }) =>
+      `<code>${timestamp.slice(0, 16).replace('T', ' ')}</code> ${adminId} <b>${action}</b> ${escapeHtml(JSON.stringify(details))}`);
+
+    await ctx.replyWithHTML(ctx.t('admin.audit', { entries: lines.length ? lines.join('\n') : ctx.t('admin.empty') }));
+  } catch (err) {
+    ctx.log.error('/audit failed', { err });
+  }
+});
 
-    ctx.session.searchType = 'prefix';
-    const type = 'Prefix';
+bot.command('adminstats', adminOnly, async (ctx) => {
+  try {
+    const { totals, perDay, patterns, timings } = await getAnalytics(redisForResults);
+    const workers = await getWorkerThroughputs(redisForResults);
+    const queueSize = await getQueueSize(vanityQueue);
+    const rate = (n) => formatPercent(totals.jobs ? n / totals.jobs : 0);
+
+    const days = perDay
+      .map(({ date, jobs, success, failed, cancelled, timeout }) =>
+        `${date}: ${jobs}${jobs ? ` (✅ ${success} ❌ ${failed} 🛑 ${cancelled} ⏱️ ${timeout})` : ''}`)
+      .join('\n');
+    const timingLines = timings
+      .map(({ length, caseSensitive, count, waitSeconds, runSeconds }) =>
+        ctx.t('admin.stats.timing', {
+          length,
+          case: caseSensitive ? '🔤' : '🔡',
+          waitAvg: formatDuration(waitSeconds.avg),
+          waitP95: formatDuration(waitSeconds.p95),
+          runAvg: formatDuration(runSeconds.avg),
+          runP95: formatDuration(runSeconds.p95),
+          count,
+        }))
+      .join('\n');
+    const patternLines = patterns
+      .map(({ pattern, count }, i) => `${i + 1}. <code>${escapeHtml(pattern)}</code> - ${count}`)
+      .join('\n');
+    const workerLines = workers
+      .map(({ id, keysPerSecond, updatedAt }) =>
+        ctx.t('admin.stats.worker', {
+          id: escapeHtml(id),
+          speed: formatCount(keysPerSecond),
+          age: formatDuration((Date.now() - Date.parse(updatedAt)) / 1000),
+        }))
+      .join('\n');
 
     await ctx.replyWithHTML(
-      `<b>${type} Mode</b>
+      ctx.t('admin.stats.text', {
+        active: queueSize.active,
+        waiting: queueSize.waiting,
+        days,
+        jobs: formatCount(totals.jobs),
+        success: rate(totals.success),
+        failed: rate(totals.failed),
+        cancelled: rate(totals.cancelled),
+        timeout: rate(totals.timeout),
+        timings: timingLines || ctx.t('admin.noData'),
+        patterns: patternLines || ctx.t('admin.noData'),
+        workers: workerLines || ctx.t('admin.noMeasurements'),
+      })
+    );
+  } catch (err) {
+    ctx.log.error('/adminstats failed', { err });
+  }
+});
 
-Enter your desired ${type.toLowerCase()} (1-4 chars)
+// Workers that sent a heartbeat recently - bot processes and worker.js alike
+bot.command('workers', adminOnly, async (ctx) => {
+  try {
+    const workers = await getWorkers(redisForResults);
+    const lines = workers.map((w) =>
+      ctx.t('admin.workers.line', {
+        id: escapeHtml(w.id),
+        engine: w.engine,
+        threads: w.threads,
+        concurrency: w.concurrency,
+        running: w.running,
+        speed: w.keysPerSecond ? formatCount(w.keysPerSecond) : '?',
+        maxLength: w.capabilities.maxLength,
+        split: w.capabilities.split ? ctx.t('admin.workers.split') : '',
+        uptime: formatDuration((Date.now() - Date.parse(w.startedAt)) / 1000),
+        age: formatDuration((Date.now() - Date.parse(w.at)) / 1000),
+      })
+    );
 
-<i>Example: SOL, STAR, 123</i>`,
-      {
-        reply_markup: { force_reply: true },
-        input_field_placeholder: `Enter ${type.toLowerCase()}`,
-      }
+    await ctx.replyWithHTML(
+      workers.length
+        ? ctx.t('admin.workers.text', { count: workers.length, list: lines.join('\n\n') })
+        : ctx.t('admin.workers.none')
     );
   } catch (err) {
-    console.error('Type prefix error:', err);
+    ctx.log.error('/workers failed', { err });
+  }
+});
+
+// Cancels every waiting and running job - their users are notified as usual
+bot.command('clearqueue', adminOnly, async (ctx) => {
+  try {
+    const jobs = await vanityQueue.getJobs(['active', 'prioritized', 'waiting', 'waiting-children']);
+    for (const job of jobs) {
+      await cancelJob(vanityQueue, redisForResults, job.id).catch((err) =>
+        ctx.log.error('Cancelling job failed', { jobId: job.id, err })
+      );
+    }
+
+    await audit(redisForResults, ctx.from.id, 'clearqueue', { jobs: jobs.length });
+
+    await ctx.replyWithHTML(ctx.t('admin.clearqueue.done', { count: jobs.length }));
+
+    ctx.log.info('Queue cleared', { jobs: jobs.length });
+  } catch (err) {
+    ctx.log.error('Clear queue failed', { err });
+    await ctx.replyWithHTML(ctx.t('admin.clearqueue.error', { error: escapeHtml(err.message) }));
+  }
+});
+
+bot.command('about', async (ctx) => {
+  try {
+    await ctx.replyWithHTML(ctx.t('about.text'), { parse_mode: 'HTML' });
+  } catch (err) {
+    ctx.log.error('/about failed', { err });
+  }
+});
+
+// Reply language - stored per user, or back to following the Telegram language
+function languageKeyboard() {
+  return {
+    inline_keyboard: [
+      Object.keys(LOCALES).map((locale) => ({ text: translate(locale, 'language.name'), callback_data: `lang_${locale}` })),
+      [{ text: translate(DEFAULT_LOCALE, 'language.auto'), callback_data: 'lang_auto' }],
+    ],
+  };
+}
+
+bot.command('language', async (ctx) => {
+  try {
+    await ctx.replyWithHTML(ctx.t('language.title', { current: ctx.t('language.name') }), {
+      reply_markup: languageKeyboard(),
+    });
+  } catch (err) {
+    ctx.log.error('/language failed', { err });
   }
 });
 
-bot.action('type_suffix', async (ctx) => {
+bot.action(/^lang_(\w+)$/, async (ctx) => {
   try {
     await ctx.answerCbQuery();
 
-    ctx.session.searchType = 'suffix';
-    const type = 'Suffix';
+    const choice = ctx.match[1];
+    if (choice !== 'auto' && !LOCALES[choice]) return;
 
-    await ctx.replyWithHTML(
-      `<b>${type} Mode</b>
+    await setUserLocale(redisForResults, ctx.from.id, choice === 'auto' ? null : choice);
+    ctx.t = createTranslator(await userLocale(redisForResults, ctx.from.id, ctx.from.language_code));
 
-Enter your desired ${type.toLowerCase()} (1-4 chars)
+    await ctx.editMessageText(ctx.t(choice === 'auto' ? 'language.reset' : 'language.changed'), { parse_mode: 'HTML' });
+  } catch (err) {
+    ctx.log.error('/language failed', { err });
+  }
+});
+
+bot.action(/^type_(prefix|suffix|both|contains|multi)$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
 
-<i>Example: SOL, STAR, 123</i>`,
+    const searchType = ctx.match[1];
+    const maxLength = userMaxLength(lengthPolicy, ctx.from.id, isAdmin(ctx.from.id));
+    ctx.session = { searchType, awaitingPattern: true };
+
+    await ctx.replyWithHTML(
+      ctx.t('pattern.mode', {
+        label: searchTypeLabel(ctx.t, searchType),
+        hint: ctx.t(`pattern.hints.${searchType}`, { max: maxLength, alternatives: MAX_ALTERNATIVES }),
+        example: SEARCH_TYPES[searchType].example,
+      }),
       {
         reply_markup: { force_reply: true },
-        input_field_placeholder: `Enter ${type.toLowerCase()}`,
+        input_field_placeholder: ctx.t(`searchTypes.${searchType}.placeholder`),
       }
     );
   } catch (err) {
-    console.error('Type suffix error:', err);
+    ctx.log.error('Type selection failed', { err });
   }
 });
 
@@ -600,171 +1335,425 @@ bot.on('text', async (ctx) => {
   try {
     if (!ctx.session?.searchType) return;
 
-    const vanityString = ctx.message.text.trim();
+    if (ctx.session.awaitingPassphrase) {
+      const passphrase = ctx.message.text;
 
-    if (vanityString.length < 1 || vanityString.length > 4) {
-      await ctx.replyWithHTML(
-        `Invalid length! Must be 1-4 characters.
-        
-Entered: <code>${vanityString}</code> (${vanityString.length} chars)`,
-        { reply_markup: { force_reply: true } }
-      );
+      // Don't leave the passphrase in the chat history
+      await ctx.deleteMessage().catch(() => {});
+
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        await ctx.replyWithHTML(
+          ctx.t('deliveryChoice.passphraseShort', { min: MIN_PASSPHRASE_LENGTH }),
+          { reply_markup: { force_reply: true } }
+        );
+        return;
+      }
+
+      await startGeneration(ctx, { passphrase });
       return;
     }
 
-    const BASE58_CHARS = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+    if (ctx.session.awaitingBaseKey) {
+      const basePublicKey = ctx.message.text.trim();
 
-    if (!vanityString.split('').every((c) => BASE58_CHARS.includes(c))) {
-      await ctx.replyWithHTML(
-        `❌ Invalid Base58 character!
+      try {
+        parseBasePublicKey(basePublicKey);
+      } catch (err) {
+        await ctx.replyWithHTML(
+          ctx.t('deliveryChoice.invalidKey', { error: escapeHtml(err.message) }),
+          { reply_markup: { force_reply: true } }
+        );
+        return;
+      }
+
+      await startGeneration(ctx, { basePublicKey });
+      return;
+    }
 
-<b>Cannot use:</b>
-0 (zero), O (capital), I (capital), l (lowercase L)
+    if (ctx.session.awaitingExclude) {
+      const { searchType, vanityString } = ctx.session;
+      const text = ctx.message.text.trim();
+      // The pattern is checked again - it must not contain an excluded word
+      const { exclude, error } = validatePattern(ctx.t, ctx.from.id, searchType, vanityString, undefined, text === '-' ? '' : text);
+      if (error) {
+        await ctx.replyWithHTML(error, { reply_markup: { force_reply: true } });
+        return;
+      }
 
-<b>Can use:</b>
-lowercase i, uppercase L, all numbers except 0, all other letters`,
-        { reply_markup: { force_reply: true } }
-      );
+      ctx.session.exclude = exclude;
+      delete ctx.session.awaitingExclude;
+      const { text: question, extra } = walletCountQuestion(ctx.t, ctx.session);
+      await ctx.reply(question, extra);
+      return;
+    }
+
+    // Only the reply to the pattern question is a pattern - not whatever is typed later
+    if (!ctx.session.awaitingPattern) return;
+
+    const vanityString = ctx.message.text.trim();
+    const { searchType } = ctx.session;
+    const userId = ctx.from.id;
+
+    const { alternatives, error } = validatePattern(ctx.t, userId, searchType, vanityString);
+    if (error) {
+      await ctx.replyWithHTML(error, { reply_markup: { force_reply: true } });
       return;
     }
 
     ctx.session.vanityString = vanityString;
+    delete ctx.session.awaitingPattern;
+    const keysPerSecond = await getThroughput(redisForResults);
 
-    await ctx.replyWithHTML(
-      `<b>Case Sensitivity</b>
+    // Long patterns may only be allowed in the (much easier) insensitive mode
+    const length = alternativesLength(alternatives);
+    const caseOptions = [true, false].filter((cs) => length <= maxLengthFor(lengthPolicy, cs));
+    const { timeoutMs } = policyForLength(lengthPolicy, length);
 
-<code>${vanityString}</code> vs <code>${vanityString.toLowerCase()}</code>?
+    const estimates = caseOptions
+      .map((cs) => `${caseLabel(ctx.t, cs)}: ${formatEstimate(ctx.t, { searchType, vanityString, caseSensitive: cs }, keysPerSecond)}`)
+      .join('\n');
 
-Should search be case-sensitive?`,
+    await ctx.replyWithHTML(
+      ctx.t('pattern.caseQuestion', {
+        pattern: vanityString,
+        lower: vanityString.toLowerCase(),
+        estimates,
+        limit: formatDuration(timeoutMs / 1000),
+      }),
       {
         reply_markup: {
           inline_keyboard: [
-            [
-              { text: '🔤 Sensitive', callback_data: 'case_yes' },
-              { text: '🔡 Insensitive (faster)', callback_data: 'case_no' },
-            ],
+            caseOptions.map((cs) =>
+              cs
+                ? { text: ctx.t('case.sensitive'), callback_data: 'case_yes' }
+                : { text: ctx.t('buttons.insensitiveFaster'), callback_data: 'case_no' }
+            ),
           ],
         },
       }
     );
   } catch (err) {
-    console.error('Text handler error:', err);
+    ctx.log.error('Text handler failed', { err });
   }
 });
 
-// ✅ FIXED: Delete buttons after click + Check if user is already generating
+// Case sensitivity chosen - ask how many wallets
 bot.action(['case_yes', 'case_no'], async (ctx) => {
   try {
     await ctx.answerCbQuery();
 
     const userId = ctx.from.id;
+    const caseSensitive = ctx.match[0] === 'case_yes';
+    const { searchType, vanityString } = ctx.session;
 
-    // ✅ Prevent simultaneous generation
-    if (generatingUsers.has(userId)) {
-      await ctx.answerCbQuery('⚠️ You already have a generation in progress!', true);
+    // The session may be stale (e.g. an old keyboard) - re-check against the policy
+    if (!searchType || !vanityString) return;
+    const length = alternativesLength(parsePattern(searchType, vanityString));
+    if (!caseOptionsFor(userId, length).includes(caseSensitive)) {
+      await ctx.replyWithHTML(ctx.t('pattern.notAllowed', { length }));
       return;
     }
 
-    const caseSensitive = ctx.match[0] === 'case_yes';
-    const searchType = ctx.session.searchType;
-    const vanityString = ctx.session.vanityString;
-    const chatId = ctx.chat.id;
+    ctx.session.caseSensitive = caseSensitive;
 
-    const queueSize = await getQueueSize();
+    const { text, extra } = walletCountQuestion(ctx.t, ctx.session);
+    await ctx.editMessageText(text, extra);
+  } catch (err) {
+    ctx.log.error('Case sensitivity handler failed', { err });
+  }
+});
 
-    const waitMsg = await ctx.replyWithHTML(
-      `⏳ <b>Queued for generation!</b>
+function walletCountQuestion(t, { vanityString, caseSensitive, exclude = [] }) {
+  return {
+    text: t('pattern.howMany', {
+      pattern: escapeHtml(vanityString),
+      case: caseLabel(t, caseSensitive),
+      exclude: exclude.length ? t('pattern.excluding', { words: escapeHtml(exclude.join(', ')) }) : '',
+    }),
+    extra: {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          BATCH_SIZES.map((n) => ({ text: t('buttons.wallets', { count: n }), callback_data: `count_${n}` })),
+          [{ text: t('buttons.exclude'), callback_data: 'exclude_words' }],
+        ],
+      },
+    },
+  };
+}
 
-Type: <code>${searchType}</code>
-Search: <code>${vanityString}</code>
-Case: ${caseSensitive ? '🔤 Sensitive' : '🔡 Insensitive'}
+// Optional step before the batch size - words the address must not contain
+bot.action('exclude_words', async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+    if (!ctx.session?.vanityString || ctx.session.caseSensitive === undefined) return;
 
-📊 Queue position: #${queueSize.waiting + 1}
-⚙️ ${queueSize.active} generation(s) in progress...`,
-      {
-        reply_markup: {
-          inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'cancel_gen' }]],
-        },
-      }
+    ctx.session.awaitingExclude = true;
+    await ctx.replyWithHTML(
+      ctx.t('pattern.excludeQuestion', { maxExclude: MAX_EXCLUDE, minWord: MIN_EXCLUDE_LENGTH, maxWord: MAX_EXCLUDE_LENGTH }),
+      { reply_markup: { force_reply: true } }
     );
+  } catch (err) {
+    ctx.log.error('Exclude button failed', { err });
+  }
+});
 
-    // ✅ Mark user as generating
-    generatingUsers.add(userId);
-
-    // ✅ Delete the case sensitivity buttons after user clicks
-    await ctx.deleteMessage(ctx.callbackQuery.message.message_id).catch(() => {});
+const DELIVERY_LABELS = {
+  message: 'queued.deliveryMessage',
+  encrypted: 'queued.deliveryEncrypted',
+  split: 'queued.deliverySplit',
+  mint: 'queued.deliveryMint',
+  mnemonic: 'queued.deliveryMnemonic',
+};
+
+// Queue the job described by the session and track it for delivery
+// delivery: {} (message), { passphrase } (encrypted file), { basePublicKey } (split key),
+// { mint: true } (token mint keypair file) or { mnemonicWords } (seed phrase)
+async function startGeneration(ctx, delivery = {}) {
+  const { passphrase, basePublicKey, mint, mnemonicWords } = delivery;
+  const deliveryMode = passphrase ? 'encrypted'
+    : basePublicKey ? 'split'
+      : mint ? 'mint'
+        : mnemonicWords ? 'mnemonic'
+          : 'message';
+  const userId = ctx.from.id;
+  const { searchType, vanityString, caseSensitive, numWallets, exclude = [] } = ctx.session;
+  const chatId = ctx.chat.id;
+
+  const blocked = await limitMessage(ctx.t, userId, { searchType, vanityString, caseSensitive, numWallets, mnemonicWords });
+  if (blocked) {
+    ctx.session = {};
+    await ctx.replyWithHTML(blocked);
+    return;
+  }
 
+  // Don't queue what none of the running workers would take
+  const workers = await getWorkers(redisForResults);
+  const needs = { searchType, vanityString, basePublicKey, mnemonicWords };
+  if (workers.length && !workers.some((w) => canRun(w.capabilities, needs))) {
     ctx.session = {};
+    await ctx.replyWithHTML(ctx.t('generate.noWorker'));
+    return;
+  }
+
+  // ✅ Mark user as generating (shared by every bot process)
+  if (!(await claimUser(redisForResults, userId))) {
+    await ctx.replyWithHTML(ctx.t('generate.busyShort'));
+    return;
+  }
+
+  // Batches get the per-wallet time limit for every wallet, seed-phrase searches
+  // a limit that grows with the cost of their attempts
+  const length = alternativesLength(parsePattern(searchType, vanityString));
+  const timeoutMs = policyForLength(lengthPolicy, length).timeoutMs * numWallets * attemptCost({ mnemonicWords });
+
+  const queueSize = await getQueueSize(vanityQueue);
+
+  const waitMsg = await ctx.replyWithHTML(
+    ctx.t('queued.text', {
+      type: searchTypeLabel(ctx.t, searchType),
+      pattern: vanityString,
+      case: caseLabel(ctx.t, caseSensitive),
+      wallets: numWallets > 1 ? ctx.t('queued.wallets', { count: numWallets }) : '',
+      delivery: ctx.t(DELIVERY_LABELS[deliveryMode]),
+      position: queueSize.waiting + 1,
+      active: ctx.t('queued.active', { count: queueSize.active }),
+    }),
+    { reply_markup: cancelKeyboard(ctx.t) }
+  );
+
+  ctx.session = {};
+
+  const request = {
+    searchType,
+    vanityString,
+    caseSensitive,
+    numWallets,
+    timeoutMs,
+    basePublicKey,
+    mnemonicWords,
+    delivery: deliveryMode,
+  };
 
-    handleGeneration(
-      vanityQueue,
-      queueEvents,
+  try {
+    const job = await queueGeneration(
+      { queue: vanityQueue, flows: flowProducer, redis: redisForResults },
+      {
+        ...request,
+        ...(exclude.length && { exclude }),
+        userId,
+        chatId,
+      },
+      { priority: tierFor(userId).priority }
+    );
+    await recordJob(redisForResults, userId);
+
+    // Up to an hour in the queue and an hour for delivery on top of the job's own time limit.
+    // The passphrase is only stored sealed with the result key.
+    await trackJob(
       redisForResults,
-      chatId,
-      waitMsg.message_id,
-      searchType,
-      vanityString,
-      caseSensitive,
-      userId,
-      ctx,
-      userJobs
-    )
-      .catch((err) => console.error(`[User ${userId}] Unhandled: ${err.message}`))
-      .finally(() => {
-        // ✅ Remove user from generating set when done
-        generatingUsers.delete(userId);
-      });
-  } catch (err) {
-    console.error('Case sensitivity handler error:', err);
+      job.id,
+      {
+        userId,
+        chatId,
+        messageId: waitMsg.message_id,
+        locale: ctx.t.locale,
+        request,
+        passphrase: passphrase ? seal(resultKey, passphrase) : '',
+      },
+      Math.ceil(timeoutMs / 1000) + 7200
+    );
+
+    ctx.log.info('Job created', { jobId: job.id, searchType, numWallets });
+
+    // A quick job may have finished before it was tracked
+    await settleTrackedJob(job.id);
+  } catch (error) {
+    ctx.log.error('Queueing job failed', { err: error });
+    await releaseUser(redisForResults, userId).catch(() => {});
+    await reportFailure(ctx.t, chatId, waitMsg.message_id, error);
   }
-});
+}
 
-// ✅ NEW: Cancel generation
-bot.action('cancel_gen', async (ctx) => {
+// Batch size chosen - ask how the keys should be delivered
+bot.action(/^count_(\d+)$/, async (ctx) => {
   try {
     await ctx.answerCbQuery();
 
-    const userId = ctx.from.id;
-    const jobId = userJobs.get(userId);
+    const numWallets = parseInt(ctx.match[1]);
+    const { searchType, vanityString, caseSensitive } = ctx.session;
 
-    if (!jobId) {
-      await ctx.answerCbQuery('❌ No active generation found!', true);
+    if (!searchType || !vanityString || caseSensitive === undefined || !BATCH_SIZES.includes(numWallets)) return;
+
+    const blocked = await limitMessage(ctx.t, ctx.from.id, { searchType, vanityString, caseSensitive, numWallets });
+    if (blocked) {
+      await ctx.editMessageText(blocked, { parse_mode: 'HTML' });
       return;
     }
 
-    console.log(`[CANCEL] User ${userId} cancelling job ${jobId}`);
+    ctx.session.numWallets = numWallets;
+    delete ctx.session.awaitingExclude;
 
-    try {
-      const job = await vanityQueue.getJob(jobId);
-      if (job) {
-        await job.remove();
-        console.log(`[CANCEL] Job ${jobId} removed from queue`);
-      }
-    } catch (err) {
-      console.error(`[CANCEL] Error removing job: ${err.message}`);
-    }
+    // Split-key and seed-phrase searches need a worker on the JS engine
+    const workers = await getWorkers(redisForResults);
+    const splitAvailable = workers.some((w) => w.capabilities.split);
+    const mnemonicAvailable = workers.some((w) => w.capabilities.mnemonic);
 
-    // Mark as cancelled for the handler to catch
-    userJobs.delete(userId);
-    generatingUsers.delete(userId);
+    // Seed phrases take longer - show how much for this pattern
+    const keysPerSecond = await getThroughput(redisForResults);
+    const mnemonicParams = { searchType, vanityString, caseSensitive, mnemonicWords: MNEMONIC_WORDS[0] };
+    const mnemonic = mnemonicAvailable
+      ? ctx.t('deliveryChoice.mnemonicEstimate', { estimate: formatEstimate(ctx.t, mnemonicParams, keysPerSecond) })
+      : ctx.t('deliveryChoice.unavailable');
 
     await ctx.editMessageText(
-      `<b>⚠️ Generation Cancelled</b>
-
-Your wallet generation has been stopped.
-
-Start a new one with /generate`,
+      ctx.t('deliveryChoice.text', {
+        cost: MNEMONIC_ATTEMPT_COST,
+        mnemonic,
+        unavailable: splitAvailable ? '' : ctx.t('deliveryChoice.unavailable'),
+      }),
       {
         parse_mode: 'HTML',
         reply_markup: {
-          inline_keyboard: [[{ text: '🚀 Generate Again', callback_data: 'start_gen' }]],
+          inline_keyboard: [
+            [
+              { text: ctx.t('buttons.deliverMessage'), callback_data: 'deliver_plain' },
+              { text: ctx.t('buttons.deliverEncrypted'), callback_data: 'deliver_encrypted' },
+            ],
+            [{ text: ctx.t('buttons.deliverMint'), callback_data: 'deliver_mint' }],
+            ...(mnemonicAvailable
+              ? [MNEMONIC_WORDS.map((words) => ({
+                text: ctx.t('buttons.deliverMnemonic', { words: ctx.t('delivery.mnemonicWords', { count: words }) }),
+                callback_data: `deliver_mnemonic_${words}`,
+              }))]
+              : []),
+            ...(splitAvailable ? [[{ text: ctx.t('buttons.deliverSplit'), callback_data: 'deliver_split' }]] : []),
+          ],
         },
       }
     );
+  } catch (err) {
+    ctx.log.error('Batch size handler failed', { err });
+  }
+});
+
+// ✅ FIXED: Delete buttons after click + Check if user is already generating
+bot.action(['deliver_plain', 'deliver_encrypted', 'deliver_split', 'deliver_mint', /^deliver_mnemonic_(\d+)$/], async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+
+    const userId = ctx.from.id;
+
+    // ✅ Prevent simultaneous generation
+    if (await isGenerating(redisForResults, userId)) {
+      await ctx.answerCbQuery(ctx.t('generate.busyAlert'), true);
+      return;
+    }
+
+    if (!ctx.session.searchType || !ctx.session.numWallets) return;
+
+    // ✅ Delete the delivery buttons after user clicks
+    await ctx.deleteMessage(ctx.callbackQuery.message.message_id).catch(() => {});
+
+    if (ctx.match[0] === 'deliver_plain') {
+      await startGeneration(ctx);
+      return;
+    }
+
+    if (ctx.match[0] === 'deliver_mint') {
+      await startGeneration(ctx, { mint: true });
+      return;
+    }
+
+    if (ctx.match[0].startsWith('deliver_mnemonic_')) {
+      const mnemonicWords = parseInt(ctx.match[1]);
+      if (!isMnemonicWords(mnemonicWords)) return;
+      await startGeneration(ctx, { mnemonicWords });
+      return;
+    }
+
+    if (ctx.match[0] === 'deliver_split') {
+      ctx.session.awaitingBaseKey = true;
+
+      await ctx.replyWithHTML(ctx.t('deliveryChoice.split'), {
+        reply_markup: { force_reply: true },
+        input_field_placeholder: ctx.t('deliveryChoice.splitPlaceholder'),
+      });
+      return;
+    }
 
-    console.log(`[CANCEL] User ${userId} generation cancelled successfully`);
+    ctx.session.awaitingPassphrase = true;
+
+    await ctx.replyWithHTML(ctx.t('deliveryChoice.passphrase', { min: MIN_PASSPHRASE_LENGTH }), {
+      reply_markup: { force_reply: true },
+      input_field_placeholder: ctx.t('deliveryChoice.passphrasePlaceholder'),
+    });
   } catch (err) {
-    console.error('Cancel generation error:', err);
+    ctx.log.error('Delivery handler failed', { err });
+  }
+});
+
+// ✅ Cancel generation - the worker kills the generator, finishJob reports it
+bot.action('cancel_gen', async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    const jobId = await getUserJob(redisForResults, userId);
+
+    if (!jobId) {
+      await ctx.answerCbQuery(ctx.t('cancel.none'), { show_alert: true });
+      return;
+    }
+
+    await ctx.answerCbQuery(ctx.t('cancel.alert'));
+    ctx.log.info('Cancelling job', { jobId });
+
+    await cancelJob(vanityQueue, redisForResults, jobId).catch((err) =>
+      ctx.log.error('Cancelling job failed', { jobId, err })
+    );
+
+    await ctx.editMessageText(ctx.t('cancel.text'), { parse_mode: 'HTML' }).catch(() => {});
+  } catch (err) {
+    ctx.log.error('Cancel generation failed', { err });
   }
 });
 
@@ -775,57 +1764,260 @@ bot.action(['start_gen'], async (ctx) => {
     const userId = ctx.from.id;
 
     // ✅ Check if user already generating
-    if (generatingUsers.has(userId)) {
-      await ctx.answerCbQuery('⚠️ You already have a generation in progress!', true);
+    if (await isGenerating(redisForResults, userId)) {
+      await ctx.answerCbQuery(ctx.t('generate.busyAlert'), true);
       return;
     }
 
-    await ctx.replyWithHTML(`<b>🎯 Vanity Address Generation</b>
+    await ctx.replyWithHTML(ctx.t('generate.titleShort'), { reply_markup: searchTypeKeyboard(ctx.t) });
+  } catch (err) {
+    ctx.log.error('Start gen action failed', { err });
+  }
+});
 
-What do you want to find?`,
-      {
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: '📍 Prefix', callback_data: 'type_prefix' },
-              { text: '🔚 Suffix', callback_data: 'type_suffix' },
-            ],
-          ],
+// Inline mode: "@bot [type] pattern [-c]" shows the difficulty before anything is queued.
+// Each result links back to the bot with the matching /generate command.
+bot.on('inline_query', async (ctx) => {
+  try {
+    const { t } = ctx;
+    const userId = ctx.from.id;
+    const args = parsePatternArgs(ctx.inlineQuery.query);
+
+    if (!args?.vanityString) {
+      await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+      return;
+    }
+
+    const { searchType, vanityString } = args;
+    const { alternatives, error, suggestion } = validatePattern(t, userId, searchType, vanityString);
+
+    if (error) {
+      const result = {
+        type: 'article',
+        id: 'invalid',
+        title: t('inline.invalid'),
+        description: suggestion ? t('inline.suggestion', { suggestion }) : t('inline.usage'),
+        input_message_content: { message_text: error, parse_mode: 'HTML' },
+      };
+      await ctx.answerInlineQuery([result], { cache_time: 0, is_personal: true });
+      return;
+    }
+
+    const keysPerSecond = await getThroughput(redisForResults);
+    const caseOptions = caseOptionsFor(userId, alternativesLength(alternatives)).filter((cs) => cs || !args.caseSensitive);
+
+    const results = caseOptions.map((caseSensitive) => {
+      const params = { searchType, vanityString, caseSensitive };
+      const estimateText = formatEstimate(t, params, keysPerSecond);
+      const payload = generatePayload(params);
+
+      return {
+        type: 'article',
+        id: caseSensitive ? 'sensitive' : 'insensitive',
+        title: `${searchTypeLabel(t, searchType)}: ${vanityString} · ${caseLabel(t, caseSensitive)}`,
+        description: estimateText,
+        input_message_content: {
+          message_text: t('inline.result', {
+            type: searchTypeLabel(t, searchType),
+            pattern: escapeHtml(vanityString),
+            case: caseLabel(t, caseSensitive),
+            estimate: estimateText,
+          }),
+          parse_mode: 'HTML',
         },
-      }
-    );
+        ...(payload && {
+          reply_markup: {
+            inline_keyboard: [[{ text: t('buttons.generateNow'), url: `https://t.me/${ctx.botInfo.username}?start=${payload}` }]],
+          },
+        }),
+      };
+    });
+
+    await ctx.answerInlineQuery(results, { cache_time: 30, is_personal: true });
   } catch (err) {
-    console.error('Start gen action error:', err);
+    ctx.log.error('Inline query failed', { err });
   }
 });
 
-bot.catch((err, ctx) => {
-  console.error('Bot error:', err);
+// Edit the wait message at most every PROGRESS_EDIT_INTERVAL_MS per job (Telegram rate limits)
+const lastProgressEdits = new Map();
+
+queueEvents.on('progress', async ({ jobId, data }) => {
+  if (!data || typeof data !== 'object') return;
+
+  const now = Date.now();
+  if (now - (lastProgressEdits.get(jobId) || 0) < PROGRESS_EDIT_INTERVAL_MS) return;
+  lastProgressEdits.set(jobId, now);
+
+  const tracked = await getTrackedJob(redisForResults, jobId).catch(() => null);
+  if (!tracked) return;
 
-  ctx.replyWithHTML(`Error: <code>${err.message}</code>`).catch(() => {});
+  const t = createTranslator(resolveLocale(tracked.locale));
+  bot.telegram
+    .editMessageText(
+      tracked.chatId,
+      tracked.messageId,
+      null,
+      formatProgressMessage(t, tracked.request, data),
+      { parse_mode: 'HTML', reply_markup: cancelKeyboard(t) }
+    )
+    .catch(() => {});
+
+  // Running again after a worker shutdown requeued it
+  if (await takeInterrupted(redisForResults, jobId).catch(() => false)) {
+    await notifyResumed(t, tracked, data.attempts);
+  }
 });
 
-console.log('\n🚀 Solvan Bot starting...');
+queueEvents.on('completed', ({ jobId }) => {
+  lastProgressEdits.delete(jobId);
+  finishJob(jobId).catch((err) => logger.error('Delivery failed', { jobId, err }));
+});
+
+queueEvents.on('failed', ({ jobId, failedReason }) => {
+  lastProgressEdits.delete(jobId);
+  finishJob(jobId, failedReason || 'Job failed').catch((err) =>
+    logger.error('Delivery failed', { jobId, err })
+  );
+});
 
-bot.launch({
-  allowedUpdates: ['message', 'callback_query'],
+// A waiting job that gets cancelled is removed and never finishes
+queueEvents.on('removed', ({ jobId }) => {
+  lastProgressEdits.delete(jobId);
+  settleTrackedJob(jobId).catch((err) => logger.error('Delivery failed', { jobId, err }));
 });
 
-console.log('✅ Bot is POLLING - waiting for messages...');
-console.log('✅ Commands: /start, /generate, /info, /stats, /about, /clearqueue\n');
+// A wait message from before the restart shows a stale queue position or progress -
+// replace it with where the job stands now, and tell the user if it was requeued
+async function refreshWaitMessage(jobId) {
+  const tracked = await getTrackedJob(redisForResults, jobId);
+  const job = tracked && (await vanityQueue.getJob(jobId));
+  if (!job) return;
+
+  const { searchType, vanityString, caseSensitive } = tracked.request;
+  const t = createTranslator(resolveLocale(tracked.locale));
+  const state = await job.getState();
+  const progress = typeof job.progress === 'object' ? job.progress : null;
+  const attempts = progress?.attempts || job.data.checkpoint?.attempts || 0;
+
+  const text = progress && ['active', 'waiting-children'].includes(state)
+    ? formatProgressMessage(t, tracked.request, progress)
+    : t('resume.waiting', {
+      type: searchTypeLabel(t, searchType),
+      pattern: vanityString,
+      case: caseLabel(t, caseSensitive),
+      attempts: attempts ? t('resume.attempts', { attempts: formatCount(attempts) }) : '',
+      waiting: (await getQueueSize(vanityQueue)).waiting,
+    });
+
+  await bot.telegram
+    .editMessageText(tracked.chatId, tracked.messageId, null, text, { parse_mode: 'HTML', reply_markup: cancelKeyboard(t) })
+    .catch(() => {});
+
+  if (await takeInterrupted(redisForResults, jobId)) await notifyResumed(t, tracked, attempts);
+}
 
-process.once('SIGINT', async () => {
-  console.log('\n👋 Shutting down...');
-  await worker.close();
-  await queueEvents.close();
-  await redisForResults.quit();
-  bot.stop('SIGINT');
+// Deliver what finished (or failed) while the bot was down and bring the wait
+// messages of the jobs still going up to date
+async function recoverTrackedJobs() {
+  const jobIds = await trackedJobIds(redisForResults);
+  if (!jobIds.length) return;
+
+  logger.info('Checking tracked jobs from before the restart', { jobs: jobIds.length });
+  for (const jobId of jobIds) {
+    await settleTrackedJob(jobId)
+      .then(() => refreshWaitMessage(jobId))
+      .catch((err) => logger.error('Recovery failed', { jobId, err }));
+  }
+}
+
+queueEvents
+  .waitUntilReady()
+  .then(recoverTrackedJobs)
+  .catch((err) => logger.error('Job recovery failed', { err }));
+
+bot.catch((err, ctx) => {
+  (ctx.log || logger).error('Unhandled bot error', { err });
+
+  const t = ctx.t || createTranslator(resolveLocale(ctx.from?.language_code));
+  ctx.replyWithHTML(t('error', { error: escapeHtml(err.message) })).catch(() => {});
 });
 
-process.once('SIGTERM', async () => {
-  console.log('\n👋 Shutting down...');
-  await worker.close();
-  await queueEvents.close();
-  await redisForResults.quit();
-  bot.stop('SIGTERM');
+logger.info('Solvan Bot starting');
+
+const ALLOWED_UPDATES = ['message', 'callback_query', 'inline_query'];
+
+// Webhook mode (WEBHOOK_URL) or long polling. The built-in HTTP server carries the
+// webhook and /healthz; with polling it only runs when HTTP_PORT is set.
+const webhook = loadWebhookConfig();
+const HTTP_PORT = parseInt(process.env.HTTP_PORT) || (webhook ? 8080 : null);
+let botServer = null;
+
+if (HTTP_PORT) {
+  botServer = createBotServer({
+    bot,
+    webhook,
+    checks: {
+      redis: () => redisForResults.ping(),
+      queue: () => vanityQueue.getJobCounts('waiting'),
+    },
+  });
+  botServer.server.listen(HTTP_PORT, () => logger.info('HTTP server listening', { port: HTTP_PORT, webhook: webhook?.path }));
+}
+
+if (webhook) {
+  bot.telegram
+    .setWebhook(webhook.url, { secret_token: webhook.secretToken, allowed_updates: ALLOWED_UPDATES })
+    .then(() => logger.info('Webhook set', { url: webhook.url }))
+    .catch((err) => {
+      logger.error('Setting the webhook failed', { err });
+      process.exit(1);
+    });
+} else {
+  bot.launch({ allowedUpdates: ALLOWED_UPDATES });
+}
+
+logger.info(webhook ? 'Bot is receiving updates by webhook' : 'Bot is polling', {
+  commands: ['/start', '/generate', '/info', '/estimate', '/stats', '/history', '/language', '/about'],
+  admin: ['/queue', '/adminstats', '/workers', '/kill', '/ban', '/unban', '/broadcast', '/setlimit', '/pause', '/resume', '/audit', '/clearqueue'],
 });
+
+// Draining: take no new updates or jobs, let the updates being handled finish and
+// the running jobs have their grace period (the rest is requeued) while queue
+// events still deliver results
+async function shutdown(signal) {
+  logger.info('Shutting down', { signal });
+  // Running jobs are requeued and flagged for their users' resume notice before this runs out
+  const timeout = Math.max(UPDATE_DRAIN_TIMEOUT_MS, generatorWorker?.shutdownTimeoutMs ?? 0) + CLOSE_TIMEOUT_MS;
+  const deadline = setTimeout(() => {
+    logger.error('Shutdown timed out - exiting', { ms: timeout });
+    process.exit(1);
+  }, timeout);
+  deadline.unref();
+
+  try {
+    botServer?.drain();
+    if (!webhook) bot.stop(signal);
+    const workerClosed = generatorWorker?.close();
+    await waitForUpdates(UPDATE_DRAIN_TIMEOUT_MS);
+
+    apiServer?.close();
+    metricsServer?.close();
+    await workerClosed;
+    await flowProducer.close();
+    await queueEvents.close();
+    await vanityQueue.close();
+    botServer?.server.close();
+    await redisForCancel.quit();
+    await redisForResults.quit();
+    await redis.quit();
+  } catch (err) {
+    logger.error('Shutdown failed', { err });
+    process.exitCode = 1;
+  }
+  // Timers and sockets left open must not keep the process around
+  process.exit();
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
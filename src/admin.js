@@ -0,0 +1,70 @@
+// Admin state shared by every bot process: banned users, the users a broadcast
+// reaches and the audit log of admin actions
+
+import { logger } from './logger.js';
+
+const BANNED_SET = 'vanity-banned';
+const USERS_SET = 'vanity-users';
+const AUDIT_LIST = 'vanity-audit';
+const AUDIT_LIMIT = 1000;
+// ~20 messages/sec, under Telegram's broadcast limit of 30/sec
+const BROADCAST_INTERVAL_MS = 50;
+
+export async function banUser(redis, userId) {
+  return (await redis.sadd(BANNED_SET, userId)) === 1;
+}
+
+export async function unbanUser(redis, userId) {
+  return (await redis.srem(BANNED_SET, userId)) === 1;
+}
+
+export async function isBanned(redis, userId) {
+  return (await redis.sismember(BANNED_SET, userId)) === 1;
+}
+
+export async function rememberUser(redis, userId) {
+  await redis.sadd(USERS_SET, userId);
+}
+
+export async function audit(redis, adminId, action, details = {}) {
+  const entry = { timestamp: new Date().toISOString(), adminId, action, ...details };
+  logger.info('Admin action', { audit: true, adminId, action, ...details });
+
+  await redis.multi().lpush(AUDIT_LIST, JSON.stringify(entry)).ltrim(AUDIT_LIST, 0, AUDIT_LIMIT - 1).exec();
+}
+
+export async function recentAudit(redis, count = 10) {
+  return (await redis.lrange(AUDIT_LIST, 0, count - 1)).map((line) => JSON.parse(line));
+}
+
+// Message every known user who isn't banned, one at a time
+export async function broadcast(redis, telegram, text) {
+  const [users, banned] = await Promise.all([redis.smembers(USERS_SET), redis.smembers(BANNED_SET)]);
+  const recipients = users.filter((id) => !banned.includes(id));
+  let sent = 0;
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  for (const userId of recipients) {
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      try {
+        await telegram.sendMessage(userId, text);
+        sent++;
+        break;
+      } catch (err) {
+        // Flood control - wait as long as Telegram asks, then retry once
+        const retryAfter = err.response?.parameters?.retry_after;
+        if (retryAfter && attempt === 1) {
+          await sleep(retryAfter * 1000);
+          continue;
+        }
+        // Blocked the bot or deleted their account
+        logger.info('Broadcast recipient unreachable', { userId, err: err.message });
+        break;
+      }
+    }
+    await sleep(BROADCAST_INTERVAL_MS);
+  }
+
+  return { sent, failed: recipients.length - sent };
+}
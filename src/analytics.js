@@ -0,0 +1,170 @@
+// Operator analytics - every job the workers run (bot and API alike)
+//
+// vanity-analytics:totals              hash: jobs and a count per outcome, all time
+// vanity-analytics:day:<YYYY-MM-DD>    the same per UTC day (kept DAY_TTL_SECONDS)
+// vanity-analytics:timings:<len>:<s|i> recent "waitMs,runMs" of successful jobs
+// vanity-analytics:buckets             set of the timing buckets in use
+// vanity-analytics:patterns            sorted set: "mode pattern" -> times requested
+
+import http from 'http';
+import { logger } from './logger.js';
+import { OUTCOMES } from './stats.js';
+
+const TOTALS_KEY = 'vanity-analytics:totals';
+const BUCKETS_KEY = 'vanity-analytics:buckets';
+const PATTERNS_KEY = 'vanity-analytics:patterns';
+const DAY_TTL_SECONDS = 90 * 86400;
+const TIMING_SAMPLES = 500;
+
+function dayKey(date) {
+  return `vanity-analytics:day:${date}`;
+}
+
+function timingsKey(bucket) {
+  return `vanity-analytics:timings:${bucket}`;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// outcome: one of OUTCOMES; waitMs/runMs only count for successful jobs
+export async function recordJobRun(redis, { searchType, vanityString, caseSensitive, length, outcome, waitMs, runMs }) {
+  const multi = redis.multi();
+
+  for (const key of [TOTALS_KEY, dayKey(today())]) {
+    multi.hincrby(key, 'jobs', 1).hincrby(key, outcome, 1);
+  }
+  multi.expire(dayKey(today()), DAY_TTL_SECONDS);
+  multi.zincrby(PATTERNS_KEY, 1, `${searchType} ${vanityString}`);
+
+  if (outcome === 'success') {
+    const bucket = `${length}:${caseSensitive ? 's' : 'i'}`;
+    multi
+      .sadd(BUCKETS_KEY, bucket)
+      .lpush(timingsKey(bucket), `${Math.round(waitMs)},${Math.round(runMs)}`)
+      .ltrim(timingsKey(bucket), 0, TIMING_SAMPLES - 1);
+  }
+
+  await multi.exec();
+}
+
+// Jobs cancelled before a worker picked them up
+export async function recordCancelledWhileWaiting(redis) {
+  await redis
+    .multi()
+    .hincrby(TOTALS_KEY, 'jobs', 1)
+    .hincrby(TOTALS_KEY, 'cancelled', 1)
+    .hincrby(dayKey(today()), 'jobs', 1)
+    .hincrby(dayKey(today()), 'cancelled', 1)
+    .expire(dayKey(today()), DAY_TTL_SECONDS)
+    .exec();
+}
+
+function parseCounters(hash) {
+  const counters = { jobs: parseInt(hash?.jobs) || 0 };
+  OUTCOMES.forEach((outcome) => { counters[outcome] = parseInt(hash?.[outcome]) || 0; });
+  return counters;
+}
+
+function summarize(values) {
+  if (!values.length) return { avg: 0, p95: 0 };
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    avg: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    p95: sorted[Math.min(Math.ceil(sorted.length * 0.95) - 1, sorted.length - 1)],
+  };
+}
+
+export async function getAnalytics(redis, { days = 7, topPatterns = 10 } = {}) {
+  const dates = Array.from({ length: days }, (_, i) => new Date(Date.now() - i * 86400000).toISOString().slice(0, 10));
+
+  const pipeline = redis.pipeline();
+  pipeline.hgetall(TOTALS_KEY);
+  dates.forEach((date) => pipeline.hgetall(dayKey(date)));
+  pipeline.zrevrange(PATTERNS_KEY, 0, topPatterns - 1, 'WITHSCORES');
+  pipeline.smembers(BUCKETS_KEY);
+  const results = (await pipeline.exec()).map(([, value]) => value);
+
+  const totals = parseCounters(results[0]);
+  const perDay = dates.map((date, i) => ({ date, ...parseCounters(results[i + 1]) }));
+
+  const patternScores = results[days + 1];
+  const patterns = [];
+  for (let i = 0; i < patternScores.length; i += 2) {
+    patterns.push({ pattern: patternScores[i], count: Number(patternScores[i + 1]) });
+  }
+
+  const timings = [];
+  for (const bucket of results[days + 2].sort()) {
+    const samples = (await redis.lrange(timingsKey(bucket), 0, -1)).map((line) => line.split(',').map(Number));
+    const [length, cs] = bucket.split(':');
+    timings.push({
+      length: Number(length),
+      caseSensitive: cs === 's',
+      count: samples.length,
+      waitSeconds: summarize(samples.map(([wait]) => wait / 1000)),
+      runSeconds: summarize(samples.map(([, run]) => run / 1000)),
+    });
+  }
+  timings.sort((a, b) => a.length - b.length || Number(b.caseSensitive) - Number(a.caseSensitive));
+
+  return { totals, perDay, patterns, timings };
+}
+
+function labels(values) {
+  const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const pairs = Object.entries(values).map(([k, v]) => `${k}="${escape(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Prometheus text exposition format
+// snapshot: { analytics, queueSize, keysPerSecond, workers, aliveWorkers }
+export function formatMetrics({ analytics, queueSize, keysPerSecond, workers, aliveWorkers }) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    samples.forEach(([labelValues, value]) => lines.push(`${name}${labels(labelValues)} ${value}`));
+  };
+
+  metric('solvan_queue_jobs', 'gauge', 'Jobs in the queue by state', [
+    [{ state: 'waiting' }, queueSize.waiting],
+    [{ state: 'active' }, queueSize.active],
+  ]);
+  metric('solvan_jobs_total', 'counter', 'Finished jobs by outcome', OUTCOMES.map((outcome) => [{ outcome }, analytics.totals[outcome]]));
+  metric('solvan_keys_per_second', 'gauge', 'Measured generator throughput (moving average)', [[{}, keysPerSecond || 0]]);
+  metric('solvan_worker_keys_per_second', 'gauge', 'Measured throughput per worker', workers.map(({ id, keysPerSecond: kps }) => [{ worker: id }, kps]));
+  metric('solvan_workers_alive', 'gauge', 'Workers with a recent heartbeat', [[{}, aliveWorkers]]);
+
+  for (const [name, field, help] of [
+    ['solvan_job_wait_seconds', 'waitSeconds', 'Time from queueing to start of recent successful jobs'],
+    ['solvan_job_run_seconds', 'runSeconds', 'Run time of recent successful jobs'],
+  ]) {
+    metric(name, 'gauge', help, analytics.timings.flatMap((t) => {
+      const base = { length: t.length, case: t.caseSensitive ? 'sensitive' : 'insensitive' };
+      return [[{ ...base, stat: 'avg' }, t[field].avg], [{ ...base, stat: 'p95' }, t[field].p95]];
+    }));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// GET /metrics for Prometheus; collect() returns the formatMetrics snapshot
+export function createMetricsServer(collect) {
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    collect()
+      .then((snapshot) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+        res.end(formatMetrics(snapshot));
+      })
+      .catch((err) => {
+        logger.error('Metrics collection failed', { err });
+        res.writeHead(500).end();
+      });
+  });
+}
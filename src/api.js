@@ -0,0 +1,296 @@
+// REST API over the generation queue - the same jobs the bot creates, for
+// other programs. Runs inside bot.js (when API_PORT is set) or on its own (api.js).
+//
+// API_KEYS (JSON) maps a key to { name, dailyQuota, admin, tier }. dailyQuota counts
+// wallets per UTC day; admin keys get the same pattern lengths as bot admins;
+// tier (default "free") sets the queue priority of the key's jobs.
+//
+//   POST   /jobs      { pattern, mode, caseSensitive, numWallets, exclude, mnemonicWords } -> 202 { id }
+//   GET    /jobs/:id  status, progress and (once completed) the wallets
+//   DELETE /jobs/:id  cancel
+//   GET    /queue     waiting and active counts
+
+import crypto from 'crypto';
+import http from 'http';
+import { CANCELLED, isCancelRequested } from './cancellation.js';
+import { attemptCost } from './difficulty.js';
+import { checkPatternFilters, loadFilterConfig, parseExclude } from './filters.js';
+import { loadTiers } from './limits.js';
+import { logger } from './logger.js';
+import { MNEMONIC_WORDS, isMnemonicWords } from './mnemonic.js';
+import { PatternError, SEARCH_TYPES, parsePattern } from './patterns.js';
+import { alternativesLength, isLengthAllowed, maxLengthFor, policyForLength } from './policy.js';
+import { RESULT_TTL_SECONDS, cancelJob, getQueueSize, loadResult } from './queue.js';
+import { queueGeneration } from './shards.js';
+
+export const DEFAULT_DAILY_QUOTA = 50;
+export const MAX_API_BATCH = 10;
+const MAX_BODY_BYTES = 10 * 1024;
+const QUOTA_TTL_SECONDS = 2 * 86400;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Keys are only kept as hashes, looked up by the hash of the presented key
+export function loadApiKeys(env = process.env) {
+  const keys = new Map();
+  const config = env.API_KEYS ? JSON.parse(env.API_KEYS) : {};
+  const { tiers } = loadTiers(env);
+
+  Object.entries(config).forEach(([key, { name, dailyQuota, admin, tier = 'free' } = {}]) => {
+    if (!tiers[tier]) throw new Error(`Unknown tier "${tier}" for API key ${name || ''}`);
+    keys.set(hashKey(key), {
+      name: name || `key-${hashKey(key).slice(0, 8)}`,
+      dailyQuota: dailyQuota ?? DEFAULT_DAILY_QUOTA,
+      admin: admin === true,
+      priority: tiers[tier].priority,
+    });
+  });
+
+  return keys;
+}
+
+function authenticate(req, apiKeys) {
+  const header = req.headers.authorization || '';
+  const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+  const client = key && apiKeys.get(hashKey(key));
+  if (!client) throw new ApiError(401, 'Missing or invalid API key');
+  return client;
+}
+
+function quotaKey(client) {
+  return `vanity-api-quota:${client.name}:${new Date().toISOString().slice(0, 10)}`;
+}
+
+// Reserve `count` wallets of today's quota, or fail without using any.
+// Returns the quota key, for giving the reservation back if the job isn't queued.
+async function reserveQuota(redis, client, count) {
+  const key = quotaKey(client);
+  const used = await redis.incrby(key, count);
+  await redis.expire(key, QUOTA_TTL_SECONDS);
+
+  if (used > client.dailyQuota) {
+    await redis.decrby(key, count);
+    throw new ApiError(429, `Daily quota of ${client.dailyQuota} wallets exceeded`);
+  }
+  return key;
+}
+
+async function readJson(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) throw new ApiError(413, 'Request body too large');
+  }
+
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch {
+    throw new ApiError(400, 'Request body is not valid JSON');
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function createJob({ queue, flows, redis, lengthPolicy, filters }, client, body) {
+  const {
+    pattern,
+    mode = 'prefix',
+    caseSensitive = false,
+    numWallets = 1,
+    exclude: excludeInput = [],
+    mnemonicWords = null,
+  } = body;
+
+  if (!SEARCH_TYPES[mode]) {
+    throw new ApiError(400, `Unknown mode, use one of: ${Object.keys(SEARCH_TYPES).join(', ')}`);
+  }
+  if (typeof pattern !== 'string' || !pattern.trim()) throw new ApiError(400, 'pattern is required');
+  if (typeof caseSensitive !== 'boolean') throw new ApiError(400, 'caseSensitive must be a boolean');
+  if (!Number.isInteger(numWallets) || numWallets < 1 || numWallets > MAX_API_BATCH) {
+    throw new ApiError(400, `numWallets must be 1-${MAX_API_BATCH}`);
+  }
+  if (!Array.isArray(excludeInput)) throw new ApiError(400, 'exclude must be an array of strings');
+  if (mnemonicWords !== null && !isMnemonicWords(mnemonicWords)) {
+    throw new ApiError(400, `mnemonicWords must be ${MNEMONIC_WORDS.join(' or ')}`);
+  }
+
+  const vanityString = pattern.trim();
+  let alternatives;
+  let exclude;
+  try {
+    alternatives = parsePattern(mode, vanityString, maxLengthFor(lengthPolicy, caseSensitive));
+    exclude = parseExclude(excludeInput);
+    checkPatternFilters(alternatives, filters, exclude);
+  } catch (err) {
+    if (!(err instanceof PatternError)) throw err;
+    throw new ApiError(400, err.details.text ? `${err.message}: ${err.details.text}` : err.message);
+  }
+
+  const length = alternativesLength(alternatives);
+  if (!isLengthAllowed(lengthPolicy, length, null, client.admin)) {
+    throw new ApiError(403, `${length}-character patterns are not allowed for this key`);
+  }
+
+  const quota = await reserveQuota(redis, client, numWallets);
+
+  let job;
+  try {
+    // Kept after finishing (unlike bot jobs) so the client can poll the outcome
+    job = await queueGeneration(
+      { queue, flows, redis },
+      {
+        searchType: mode,
+        vanityString,
+        caseSensitive,
+        numWallets,
+        ...(exclude.length && { exclude }),
+        ...(mnemonicWords && { mnemonicWords }),
+        // Seed-phrase attempts are slower, the time limit grows with their cost
+        timeoutMs: policyForLength(lengthPolicy, length).timeoutMs * numWallets * attemptCost({ mnemonicWords }),
+        delivery: 'api',
+        apiKey: client.name,
+      },
+      {
+        priority: client.priority,
+        removeOnComplete: { age: RESULT_TTL_SECONDS },
+        removeOnFail: { age: RESULT_TTL_SECONDS },
+      }
+    );
+  } catch (err) {
+    // Nothing was queued - the wallets don't count against the quota (the key of the
+    // day they were reserved on, even past midnight)
+    await redis.decrby(quota, numWallets).catch((refundErr) =>
+      logger.error('Quota refund failed', { apiKey: client.name, err: refundErr })
+    );
+    throw err;
+  }
+
+  logger.info('Job created', { jobId: job.id, apiKey: client.name });
+  return job;
+}
+
+// Jobs of other keys are reported as missing
+async function findJob(queue, client, jobId) {
+  const job = await queue.getJob(jobId);
+  if (!job || job.data.apiKey !== client.name) throw new ApiError(404, 'Job not found');
+  return job;
+}
+
+async function describeJob({ redis, resultKey }, job) {
+  const { searchType, vanityString, caseSensitive, numWallets = 1 } = job.data;
+  const state = await job.getState();
+
+  // A sharded job waits for its shards while they run
+  const status =
+    state === 'completed' || state === 'active' ? state
+      : state === 'waiting-children' ? 'active'
+        : state === 'failed' ? (job.failedReason === CANCELLED ? 'cancelled' : 'failed')
+          : 'waiting';
+
+  const description = {
+    id: job.id,
+    status,
+    mode: searchType,
+    pattern: vanityString,
+    caseSensitive,
+    numWallets,
+    createdAt: new Date(job.timestamp).toISOString(),
+    progress: typeof job.progress === 'object' ? job.progress : null,
+  };
+
+  if (status === 'waiting' && (await isCancelRequested(redis, job.id))) description.status = 'cancelling';
+  if (status === 'failed') description.error = job.failedReason;
+
+  if (status === 'completed') {
+    const result = await loadResult(redis, resultKey, job.id);
+    if (!result) {
+      description.error = 'Result expired';
+    } else {
+      description.result = {
+        attempts: result.attempts,
+        // Matches the address safety filters rejected
+        filtered: result.filtered || 0,
+        time: result.time,
+        wallets: (result.wallets || [result]).map(({ address, privateKeyBase58, mnemonic, derivationPath, matchedPattern }) => ({
+          address,
+          privateKey: privateKeyBase58,
+          // Seed-phrase jobs only
+          ...(mnemonic && { mnemonic, derivationPath }),
+          matchedPattern,
+        })),
+      };
+    }
+  }
+
+  return description;
+}
+
+async function route(context, req, res) {
+  const { queue, redis, apiKeys } = context;
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const client = authenticate(req, apiKeys);
+
+  if (pathname === '/queue') {
+    if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+    sendJson(res, 200, await getQueueSize(queue));
+    return;
+  }
+
+  if (pathname === '/jobs') {
+    if (req.method !== 'POST') throw new ApiError(405, 'Method not allowed');
+    const job = await createJob(context, client, await readJson(req));
+    res.setHeader('Location', `/jobs/${job.id}`);
+    sendJson(res, 202, { id: job.id, status: 'waiting' });
+    return;
+  }
+
+  const match = pathname.match(/^\/jobs\/([^/]+)$/);
+  if (!match) throw new ApiError(404, 'Not found');
+
+  const job = await findJob(queue, client, decodeURIComponent(match[1]));
+
+  if (req.method === 'GET') {
+    sendJson(res, 200, await describeJob(context, job));
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    if (await job.isCompleted() || await job.isFailed()) throw new ApiError(409, 'Job already finished');
+
+    logger.info('Cancelling job', { jobId: job.id, apiKey: client.name });
+    await cancelJob(queue, redis, job.id);
+    sendJson(res, 202, { id: job.id, status: 'cancelling' });
+    return;
+  }
+
+  throw new ApiError(405, 'Method not allowed');
+}
+
+// context: { queue, flows (optional, to shard hard jobs), redis, resultKey, lengthPolicy,
+// filters (optional, loadFilterConfig() by default), apiKeys }
+export function createApiServer(context) {
+  context = { ...context, filters: context.filters || loadFilterConfig() };
+
+  return http.createServer((req, res) => {
+    route(context, req, res).catch((err) => {
+      if (err instanceof ApiError) {
+        sendJson(res, err.status, { error: err.message });
+        return;
+      }
+      logger.error('API request failed', { method: req.method, path: req.url, err });
+      sendJson(res, 500, { error: 'Internal server error' });
+    });
+  });
+}
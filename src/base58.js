@@ -0,0 +1,52 @@
+// Base58 (Bitcoin alphabet) encoding used for Solana addresses and secret keys
+
+export const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const ALPHABET_MAP = new Map([...ALPHABET].map((c, i) => [c, i]));
+
+export function isBase58(text) {
+  return [...text].every((c) => ALPHABET_MAP.has(c));
+}
+
+export function encode(bytes) {
+  const digits = [0];
+
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let output = '';
+  for (let i = 0; i < bytes.length - 1 && bytes[i] === 0; i++) output += '1';
+  for (let i = digits.length - 1; i >= 0; i--) output += ALPHABET[digits[i]];
+  return output;
+}
+
+export function decode(text) {
+  const bytes = [0];
+
+  for (const char of text) {
+    let carry = ALPHABET_MAP.get(char);
+    if (carry === undefined) throw new Error(`Invalid Base58 character: ${char}`);
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  for (let i = 0; i < text.length - 1 && text[i] === '1'; i++) bytes.push(0);
+  return Uint8Array.from(bytes.reverse());
+}
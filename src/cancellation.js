@@ -0,0 +1,27 @@
+// Job cancellation across processes - a Redis key (for jobs not yet picked up)
+// plus a pub/sub message (for jobs already running on some worker)
+
+export const CANCELLED = 'Cancelled';
+export const CANCEL_CHANNEL = 'vanity-cancel';
+const CANCEL_TTL_SECONDS = 3600;
+
+export function cancelKey(jobId) {
+  return `vanity-cancel:${jobId}`;
+}
+
+export async function requestCancel(redis, jobId) {
+  await redis.setex(cancelKey(jobId), CANCEL_TTL_SECONDS, '1');
+  await redis.publish(CANCEL_CHANNEL, String(jobId));
+}
+
+export async function isCancelRequested(redis, jobId) {
+  return (await redis.exists(cancelKey(jobId))) === 1;
+}
+
+// `subscriber` must be a dedicated connection - it can't run other commands once subscribed
+export async function watchCancellations(subscriber, onCancel) {
+  subscriber.on('message', (channel, jobId) => {
+    if (channel === CANCEL_CHANNEL) onCancel(jobId);
+  });
+  await subscriber.subscribe(CANCEL_CHANNEL);
+}
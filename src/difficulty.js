@@ -0,0 +1,118 @@
+// Difficulty estimates for vanity patterns
+//
+// Addresses are base58 encodings of uniformly random 32-byte public keys.
+// Trailing characters are (practically) uniform over the 58 symbols, but the
+// leading ones are not: 2^256 is only ~17 * 58^43, so a 44-character address
+// can only start with 2..J, and '1' only appears for a leading zero byte.
+// Prefix probabilities are therefore computed exactly with BigInt intervals.
+
+import { ALPHABET } from './base58.js';
+import { parsePattern } from './patterns.js';
+
+const KEY_BYTES = 32;
+const KEY_SPACE = 1n << BigInt(KEY_BYTES * 8);
+const BASE = BigInt(ALPHABET.length);
+
+// Base58 length of a 32-byte public key (43 for ~6% of keys)
+const ADDRESS_LENGTH = 44;
+
+// A seed-phrase attempt (BIP39 PBKDF2 with 2048 rounds of HMAC-SHA512, then the
+// SLIP-0010 derivation) costs about as much as this many plain keypair attempts
+export const MNEMONIC_ATTEMPT_COST = 12;
+
+// All spellings of `text` that fold to the same lowercase string
+function caseVariants(text) {
+  return [...text].reduce((variants, char) => {
+    const folded = char.toLowerCase();
+    const options = [...ALPHABET].filter((c) => c.toLowerCase() === folded);
+    return variants.flatMap((v) => options.map((c) => v + c));
+  }, ['']);
+}
+
+// Exact chance that a random key encodes to an address starting with `prefix`
+function exactPrefixProbability(prefix) {
+  // Each leading '1' stands for one leading zero byte
+  const ones = prefix.match(/^1*/)[0].length;
+  const rest = prefix.slice(ones);
+  const hi = 1n << BigInt((KEY_BYTES - ones) * 8);
+  if (!rest) return Number(hi) / Number(KEY_SPACE);
+
+  // Exactly `ones` zero bytes: the remaining number is in [lo, hi)
+  const lo = hi >> 8n;
+  const value = [...rest].reduce((v, c) => v * BASE + BigInt(ALPHABET.indexOf(c)), 0n);
+
+  let count = 0n;
+  for (let scale = 1n; value * scale < hi; scale *= BASE) {
+    const start = value * scale > lo ? value * scale : lo;
+    const end = (value + 1n) * scale < hi ? (value + 1n) * scale : hi;
+    if (end > start) count += end - start;
+  }
+  return Number(count) / Number(KEY_SPACE);
+}
+
+function prefixProbability(prefix, caseSensitive) {
+  if (!prefix) return 1;
+  const variants = caseSensitive ? [prefix] : caseVariants(prefix);
+  return variants.reduce((sum, v) => sum + exactPrefixProbability(v), 0);
+}
+
+// Chance that a run of (uniform) address characters spells `text`
+function uniformProbability(text, caseSensitive) {
+  const variants = caseSensitive ? 1 : caseVariants(text).length;
+  return variants / ALPHABET.length ** text.length;
+}
+
+function alternativeProbability({ prefix, suffix, contains }, caseSensitive) {
+  let p = prefixProbability(prefix, caseSensitive) * uniformProbability(suffix, caseSensitive);
+  if (contains) {
+    // Any of the possible positions may hold the substring
+    const positions = ADDRESS_LENGTH - contains.length + 1;
+    p *= -Math.expm1(positions * Math.log1p(-uniformProbability(contains, caseSensitive)));
+  }
+  return p;
+}
+
+// Chance that a single random keypair matches the pattern (any alternative)
+export function matchProbability({ searchType, vanityString, caseSensitive }) {
+  const alternatives = parsePattern(searchType, vanityString);
+  const miss = alternatives.reduce((m, alt) => m * (1 - alternativeProbability(alt, caseSensitive)), 1);
+  return 1 - miss;
+}
+
+export function expectedAttempts(params) {
+  return 1 / matchProbability(params);
+}
+
+// Cost of one attempt in plain keypair attempts - the unit of the measured keys/sec
+export function attemptCost({ mnemonicWords }) {
+  return mnemonicWords ? MNEMONIC_ATTEMPT_COST : 1;
+}
+
+// Expected attempts weighted by their cost - what limits and sharding go by
+export function expectedWork(params) {
+  return expectedAttempts(params) * attemptCost(params);
+}
+
+// Chance of having found a match after `attempts` tries
+export function successChance(params, attempts) {
+  return -Math.expm1(attempts * Math.log1p(-matchProbability(params)));
+}
+
+// Attempts needed to reach the given chance of success (e.g. 0.95)
+export function attemptsForChance(params, chance) {
+  return Math.log1p(-chance) / Math.log1p(-matchProbability(params));
+}
+
+// Expected attempts plus time estimates at `keysPerSecond` (plain keypairs, null when unknown)
+export function estimate(params, keysPerSecond) {
+  const attempts = expectedAttempts(params);
+  const likely = attemptsForChance(params, 0.95);
+  const toSeconds = (n) => (keysPerSecond ? (n * attemptCost(params)) / keysPerSecond : null);
+
+  return {
+    attempts,
+    seconds: toSeconds(attempts),
+    likelyAttempts: likely,
+    likelySeconds: toSeconds(likely),
+  };
+}
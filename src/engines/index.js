@@ -0,0 +1,17 @@
+// Generator engine selection - GENERATOR_ENGINE=js (default) or python
+
+import { runJsEngine } from './js.js';
+import { runPythonEngine } from './python.js';
+
+const ENGINES = {
+  js: runJsEngine,
+  python: runPythonEngine,
+};
+
+export function getEngine(name = 'js') {
+  const engine = ENGINES[name];
+  if (!engine) {
+    throw new Error(`Unknown generator engine "${name}" (expected: ${Object.keys(ENGINES).join(', ')})`);
+  }
+  return engine;
+}
@@ -0,0 +1,57 @@
+// Search loop for one worker thread of the JS engine
+
+import { generateKeyPairSync } from 'crypto';
+import { parentPort, workerData } from 'worker_threads';
+import { encode } from '../base58.js';
+import { createAddressFilter } from '../filters.js';
+import { createMatcher, describeAlternative } from '../patterns.js';
+
+// DER headers in front of the raw 32-byte ed25519 seed / public key
+const PKCS8_PREFIX_LENGTH = 16;
+const SPKI_PREFIX_LENGTH = 12;
+
+const KEY_ENCODING = {
+  publicKeyEncoding: { type: 'spki', format: 'der' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'der' },
+};
+
+const { alternatives, caseSensitive, filters, progressEvery } = workerData;
+const match = createMatcher(alternatives, caseSensitive);
+const isRejected = createAddressFilter(filters);
+
+// Attempts and filtered matches not yet reported to the main thread
+let attempts = 0;
+let filtered = 0;
+
+for (;;) {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519', KEY_ENCODING);
+  const pubkey = publicKey.subarray(SPKI_PREFIX_LENGTH);
+  const address = encode(pubkey);
+  attempts++;
+
+  let matched = match(address);
+  // A match the safety filters reject is just another attempt
+  if (matched && isRejected(address)) {
+    matched = null;
+    filtered++;
+  }
+
+  if (matched) {
+    const secretKey = Buffer.concat([privateKey.subarray(PKCS8_PREFIX_LENGTH), pubkey]);
+    parentPort.postMessage({
+      type: 'match',
+      address,
+      secretKey,
+      attempts,
+      filtered,
+      matchedPattern: describeAlternative(matched),
+    });
+    // Keep going - batch jobs need more than one match
+    attempts = 0;
+    filtered = 0;
+  } else if (attempts === progressEvery) {
+    parentPort.postMessage({ type: 'progress', attempts, filtered });
+    attempts = 0;
+    filtered = 0;
+  }
+}
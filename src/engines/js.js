@@ -0,0 +1,103 @@
+// Native generator engine - ed25519 keypairs from Node's crypto on worker_threads
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { encode } from '../base58.js';
+import { parsePattern } from '../patterns.js';
+
+const THREAD_SCRIPT = new URL('./js-thread.js', import.meta.url);
+const SPLIT_THREAD_SCRIPT = new URL('./split-thread.js', import.meta.url);
+const MNEMONIC_THREAD_SCRIPT = new URL('./mnemonic-thread.js', import.meta.url);
+const PROGRESS_EVERY = 1000;
+// Seed-phrase attempts are slow - report them more often
+const MNEMONIC_PROGRESS_EVERY = 50;
+
+export function runJsEngine(params, { signal, onProgress, threads = os.availableParallelism() } = {}) {
+  const { searchType, vanityString, caseSensitive, numWallets = 1, basePublicKey, mnemonicWords, filters = null } = params;
+  const alternatives = parsePattern(searchType, vanityString);
+  const startTime = Date.now();
+  const wallets = [];
+  let totalAttempts = 0;
+  let totalFiltered = 0;
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    let settled = false;
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      // Stop every thread immediately - the search loops never yield
+      workers.forEach((w) => w.terminate());
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const onAbort = () => finish(signal.reason || new Error('Aborted'));
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort);
+
+    // Split-key jobs search tweaks of the user's public key and seed-phrase jobs
+    // derive keypairs from mnemonics instead of generating fresh keypairs
+    const script = basePublicKey ? SPLIT_THREAD_SCRIPT : mnemonicWords ? MNEMONIC_THREAD_SCRIPT : THREAD_SCRIPT;
+    const progressEvery = mnemonicWords ? MNEMONIC_PROGRESS_EVERY : PROGRESS_EVERY;
+
+    for (let i = 0; i < threads; i++) {
+      const worker = new Worker(script, {
+        workerData: { alternatives, caseSensitive, basePublicKey, mnemonicWords, filters, progressEvery },
+      });
+
+      worker.on('message', (msg) => {
+        if (settled) return;
+        totalAttempts += msg.attempts;
+        totalFiltered += msg.filtered;
+
+        if (msg.type === 'progress') {
+          onProgress?.(totalAttempts, wallets.length, totalFiltered);
+          return;
+        }
+
+        if (basePublicKey) {
+          wallets.push({
+            address: msg.address,
+            basePublicKey,
+            tweak: msg.tweak,
+            matchedPattern: msg.matchedPattern,
+          });
+        } else {
+          const secretKey = Buffer.from(msg.secretKey);
+          wallets.push({
+            address: msg.address,
+            privateKeyBytes: [...secretKey],
+            privateKeyBase58: encode(secretKey),
+            privateKeyHex: secretKey.toString('hex'),
+            ...(msg.mnemonic && { mnemonic: msg.mnemonic, derivationPath: msg.derivationPath }),
+            matchedPattern: msg.matchedPattern,
+          });
+        }
+        if (wallets.length < numWallets) {
+          onProgress?.(totalAttempts, wallets.length, totalFiltered);
+          return;
+        }
+
+        // Top-level fields describe the first wallet, `wallets` holds the whole batch
+        finish(null, {
+          ...wallets[0],
+          wallets,
+          attempts: totalAttempts,
+          filtered: totalFiltered,
+          time: Math.round((Date.now() - startTime) / 10) / 100,
+        });
+      });
+
+      worker.on('error', (err) => finish(err));
+
+      workers.push(worker);
+    }
+  });
+}
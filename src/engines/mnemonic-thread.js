@@ -0,0 +1,49 @@
+// Search loop for one worker thread of the JS engine in seed-phrase mode:
+// a fresh BIP39 mnemonic per attempt, matched on its m/44'/501'/0'/0' address
+
+import { parentPort, workerData } from 'worker_threads';
+import { encode } from '../base58.js';
+import { createAddressFilter } from '../filters.js';
+import { DERIVATION_PATH, mnemonicKeypair, randomMnemonic } from '../mnemonic.js';
+import { createMatcher, describeAlternative } from '../patterns.js';
+
+const { mnemonicWords, alternatives, caseSensitive, filters, progressEvery } = workerData;
+const match = createMatcher(alternatives, caseSensitive);
+const isRejected = createAddressFilter(filters);
+
+// Attempts and filtered matches not yet reported to the main thread
+let attempts = 0;
+let filtered = 0;
+
+for (;;) {
+  const mnemonic = randomMnemonic(mnemonicWords);
+  const { publicKey, secretKey } = mnemonicKeypair(mnemonic);
+  const address = encode(publicKey);
+  attempts++;
+
+  let matched = match(address);
+  // A match the safety filters reject is just another attempt
+  if (matched && isRejected(address)) {
+    matched = null;
+    filtered++;
+  }
+
+  if (matched) {
+    parentPort.postMessage({
+      type: 'match',
+      address,
+      secretKey,
+      mnemonic,
+      derivationPath: DERIVATION_PATH,
+      attempts,
+      filtered,
+      matchedPattern: describeAlternative(matched),
+    });
+    attempts = 0;
+    filtered = 0;
+  } else if (attempts === progressEvery) {
+    parentPort.postMessage({ type: 'progress', attempts, filtered });
+    attempts = 0;
+    filtered = 0;
+  }
+}
@@ -0,0 +1,137 @@
+// Legacy generator engine - spawns vanity_generator.py (needs python3, solders, base58)
+
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { logger, redact } from '../logger.js';
+import { parsePattern } from '../patterns.js';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Must match PROGRESS_EVERY in vanity_generator.py
+const PROGRESS_EVERY = 1000;
+
+export function runPythonEngine(params, { signal, onProgress, log = logger } = {}) {
+  const { searchType, vanityString, caseSensitive, numWallets = 1, basePublicKey, mnemonicWords, filters = null } = params;
+  const alternatives = parsePattern(searchType, vanityString);
+
+  return new Promise((resolve, reject) => {
+    if (basePublicKey) {
+      reject(new Error('Split-key mode needs GENERATOR_ENGINE=js'));
+      return;
+    }
+    if (mnemonicWords) {
+      reject(new Error('Seed-phrase mode needs GENERATOR_ENGINE=js'));
+      return;
+    }
+
+    if (signal?.aborted) {
+      reject(signal.reason || new Error('Aborted'));
+      return;
+    }
+
+    const python = spawn(
+      process.env.PYTHON_BIN || 'python3',
+      [
+        '-u',
+        'vanity_generator.py',
+        '--search-type', searchType,
+        '--vanity-string', vanityString,
+        '--case-sensitive', caseSensitive ? 'true' : 'false',
+        '--patterns', JSON.stringify(alternatives),
+        '--num-wallets', String(numWallets),
+        ...(filters ? ['--filters', JSON.stringify(filters)] : []),
+      ],
+      // detached: python becomes a process group leader, so the whole
+      // multiprocessing tree (manager + search processes) can be killed at once
+      { cwd: PROJECT_ROOT, stdio: ['ignore', 'pipe', 'pipe'], detached: true }
+    );
+
+    let output = '';
+    let errorOutput = '';
+    let stderrBuffer = '';
+    let reportedAttempts = 0;
+    let found = 0;
+    let filtered = 0;
+    let aborted = false;
+
+    // Processes print {"progress": n} and {"filtered": n}, main prints {"found": n}
+    // lines on stderr; anything else is a real error
+    const handleStderrLine = (line) => {
+      if (!line.trim()) return;
+
+      try {
+        const msg = JSON.parse(line);
+        if (typeof msg.progress === 'number' || typeof msg.found === 'number' || typeof msg.filtered === 'number') {
+          reportedAttempts += msg.progress || 0;
+          filtered += msg.filtered || 0;
+          found = msg.found ?? found;
+          onProgress?.(reportedAttempts, found, filtered);
+          return;
+        }
+      } catch {
+        // not a progress line
+      }
+
+      errorOutput += line + '\n';
+      log.warn('Generator stderr', { line });
+    };
+
+    const onAbort = () => {
+      aborted = true;
+      try {
+        process.kill(-python.pid, 'SIGKILL');
+      } catch {
+        python.kill('SIGKILL');
+      }
+      reject(signal.reason || new Error('Aborted'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    python.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    python.stderr.on('data', (data) => {
+      stderrBuffer += data.toString();
+      const lines = stderrBuffer.split('\n');
+      stderrBuffer = lines.pop();
+      lines.forEach(handleStderrLine);
+    });
+
+    python.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (aborted) return;
+
+      handleStderrLine(stderrBuffer);
+
+      log.debug('Generator exited', { code });
+
+      if (code !== 0) {
+        reject(new Error(`Generator error: ${redact(errorOutput.trim())}`));
+        return;
+      }
+
+      if (!output || output.trim().length === 0) {
+        reject(new Error('Generator produced no output'));
+        return;
+      }
+
+      try {
+        const result = JSON.parse(output);
+        // The last winning process reports its own counter; add what the others reported
+        // (exact for single wallets, approximate for batches)
+        result.attempts = reportedAttempts + (result.attempts % PROGRESS_EVERY);
+        result.filtered = filtered;
+        resolve(result);
+      } catch (e) {
+        reject(e);
+      }
+    });
+
+    python.on('error', (err) => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+  });
+}
@@ -0,0 +1,54 @@
+// Search loop for one worker thread of the JS engine in split-key mode:
+// walks P + t·G, P + (t+1)·G, ... from a random tweak t
+
+import { parentPort, workerData } from 'worker_threads';
+import { ed25519 } from '@noble/curves/ed25519';
+import { encode } from '../base58.js';
+import { createAddressFilter } from '../filters.js';
+import { createMatcher, describeAlternative } from '../patterns.js';
+import { parseBasePublicKey, randomScalar, scalarToBytes } from '../split-key.js';
+
+const { basePublicKey, alternatives, caseSensitive, filters, progressEvery } = workerData;
+const match = createMatcher(alternatives, caseSensitive);
+const isRejected = createAddressFilter(filters);
+const G = ed25519.Point.BASE;
+const ORDER = ed25519.CURVE.n;
+
+let tweak = randomScalar();
+let point = parseBasePublicKey(basePublicKey).add(G.multiply(tweak));
+
+// Attempts and filtered matches not yet reported to the main thread
+let attempts = 0;
+let filtered = 0;
+
+for (;;) {
+  const address = encode(point.toBytes());
+  attempts++;
+
+  let matched = match(address);
+  // A match the safety filters reject is just another attempt
+  if (matched && isRejected(address)) {
+    matched = null;
+    filtered++;
+  }
+
+  if (matched) {
+    parentPort.postMessage({
+      type: 'match',
+      address,
+      tweak: scalarToBytes(tweak).toString('hex'),
+      attempts,
+      filtered,
+      matchedPattern: describeAlternative(matched),
+    });
+    attempts = 0;
+    filtered = 0;
+  } else if (attempts === progressEvery) {
+    parentPort.postMessage({ type: 'progress', attempts, filtered });
+    attempts = 0;
+    filtered = 0;
+  }
+
+  point = point.add(G);
+  tweak = (tweak + 1n) % ORDER;
+}
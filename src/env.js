@@ -0,0 +1,16 @@
+// Minimal .env loader shared by the entrypoints (bot.js, api.js)
+
+import fs from 'fs';
+import path from 'path';
+
+export function loadEnv(envPath = path.resolve('.env')) {
+  if (!fs.existsSync(envPath)) return;
+
+  const envContent = fs.readFileSync(envPath, 'utf8');
+  envContent.split('\n').forEach(line => {
+    const [key, ...valueParts] = line.trim().split('=');
+    if (key && valueParts.length) {
+      process.env[key.trim()] = valueParts.join('=').trim();
+    }
+  });
+}
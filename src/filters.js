@@ -0,0 +1,116 @@
+// Address safety filters - checked on candidates that already match the pattern.
+// A rejected candidate counts as an attempt, not a match, and the search goes on.
+//
+//   blocklist   offensive substrings defined by the operator (ADDRESS_BLOCKLIST)
+//   lookalikes  addresses with the same first and last 4 characters as a well-known
+//               program or system account (on unless FILTER_LOOKALIKES=false)
+//   exclude     substrings the user doesn't want, given with the request
+//
+// Substrings match case-insensitively. The engines get a plain filter spec
+// { substrings, lookalikes } (vanity_generator.py implements the same rules).
+
+import { PatternError, describeAlternative } from './patterns.js';
+
+// Programs, sysvars and mints wallets show by their ends
+export const WELL_KNOWN_ADDRESSES = [
+  '11111111111111111111111111111111',
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
+  'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL',
+  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+  'ComputeBudget111111111111111111111111111111',
+  'Vote111111111111111111111111111111111111111',
+  'Stake11111111111111111111111111111111111111',
+  'BPFLoaderUpgradeab1e11111111111111111111111',
+  'AddressLookupTab1e1111111111111111111111111',
+  'SysvarRent111111111111111111111111111111111',
+  'SysvarC1ock11111111111111111111111111111111',
+  'Sysvar1nstructions1111111111111111111111111',
+  'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s',
+  'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4',
+  'So11111111111111111111111111111111111111112',
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+];
+
+const LOOKALIKE_CHARS = 4;
+const LOOKALIKE_ENDS = WELL_KNOWN_ADDRESSES.map((address) => [
+  address.slice(0, LOOKALIKE_CHARS),
+  address.slice(-LOOKALIKE_CHARS),
+]);
+
+// Shorter words would reject a large share of all matches
+export const MIN_EXCLUDE_LENGTH = 3;
+export const MAX_EXCLUDE_LENGTH = 12;
+export const MAX_EXCLUDE = 10;
+
+function parseWords(text) {
+  return text.split(',').map((word) => word.trim().toLowerCase()).filter(Boolean);
+}
+
+// ADDRESS_BLOCKLIST: comma-separated substrings no generated address may contain
+export function loadFilterConfig(env = process.env) {
+  return {
+    blocklist: parseWords(env.ADDRESS_BLOCKLIST || ''),
+    lookalikes: env.FILTER_LOOKALIKES !== 'false',
+  };
+}
+
+// A user's exclude list - comma-separated text or an array of words
+export function parseExclude(input) {
+  const list = Array.isArray(input) ? input.flatMap((word) => parseWords(String(word))) : parseWords(input);
+  const words = [...new Set(list)];
+  const invalid = words.find((word) =>
+    !/^[a-z0-9]+$/.test(word) || word.length < MIN_EXCLUDE_LENGTH || word.length > MAX_EXCLUDE_LENGTH
+  );
+
+  if (invalid !== undefined || words.length > MAX_EXCLUDE) {
+    throw new PatternError(
+      'exclude',
+      `Exclude up to ${MAX_EXCLUDE} words of ${MIN_EXCLUDE_LENGTH}-${MAX_EXCLUDE_LENGTH} letters or digits`,
+      { text: invalid ?? '', count: words.length }
+    );
+  }
+  return words;
+}
+
+// Patterns no match of could pass the filters: a blocked or excluded word inside the
+// pattern itself, or the ends of a well-known address spelled out
+export function checkPatternFilters(alternatives, config, exclude = []) {
+  if (!config) throw new Error('Address filter config missing - pass loadFilterConfig()');
+  const words = [...config.blocklist, ...exclude];
+
+  for (const alt of alternatives) {
+    const parts = [alt.prefix, alt.suffix, alt.contains].map((part) => part.toLowerCase());
+    const text = describeAlternative(alt);
+
+    if (words.some((word) => parts.some((part) => part.includes(word)))) {
+      throw new PatternError('blocked', 'Pattern contains a blocked or excluded word', { text });
+    }
+    if (
+      config.lookalikes &&
+      LOOKALIKE_ENDS.some(([start, end]) => alt.prefix.startsWith(start) && alt.suffix.endsWith(end))
+    ) {
+      throw new PatternError('blocked', 'Pattern mimics a well-known address', { text });
+    }
+  }
+}
+
+// The spec handed to the engines, null when no filter is on
+export function filterSpec(config, exclude = []) {
+  const substrings = [...new Set([...config.blocklist, ...exclude])];
+  const lookalikes = config.lookalikes ? LOOKALIKE_ENDS : [];
+  return substrings.length || lookalikes.length ? { substrings, lookalikes } : null;
+}
+
+// (address) => true when the candidate must be skipped
+export function createAddressFilter(spec) {
+  if (!spec) return () => false;
+
+  const ends = new Set(spec.lookalikes.map(([start, end]) => start + end));
+  return (address) => {
+    if (ends.has(address.slice(0, LOOKALIKE_CHARS) + address.slice(-LOOKALIKE_CHARS))) return true;
+    const folded = address.toLowerCase();
+    return spec.substrings.some((word) => folded.includes(word));
+  };
+}
@@ -0,0 +1,29 @@
+// Formatting helpers for bot messages
+
+export function formatCount(n) {
+  return Math.round(n).toLocaleString('en-US');
+}
+
+export function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) return '∞';
+  if (seconds < 1) return '<1s';
+
+  const s = Math.round(seconds);
+  const days = Math.floor(s / 86400);
+  const hours = Math.floor((s % 86400) / 3600);
+  const minutes = Math.floor((s % 3600) / 60);
+  const secs = s % 60;
+
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes}m`;
+  if (minutes) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+}
+
+export function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
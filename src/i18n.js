@@ -0,0 +1,56 @@
+// Bot message catalogs (src/locales/*.js) and each user's language
+//
+// t('start.text', { active: 2 }) looks a message up by dotted key and fills its
+// {placeholders}. Plural messages are objects keyed by Intl.PluralRules category
+// (one, few, many, other) and pick their form by the count param. Anything a
+// catalog leaves out falls back to English.
+//
+// vanity-languages   hash: userId -> language chosen with /language
+
+import { messages as en } from './locales/en.js';
+import { messages as es } from './locales/es.js';
+import { messages as ru } from './locales/ru.js';
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALES = { en, es, ru };
+
+const LANGUAGES_KEY = 'vanity-languages';
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+// Telegram language codes ('pt-br') to a supported locale, DEFAULT_LOCALE otherwise
+export function resolveLocale(code) {
+  const locale = String(code || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[locale] ? locale : DEFAULT_LOCALE;
+}
+
+export function translate(locale, key, params = {}) {
+  let message = lookup(LOCALES[locale], key) ?? lookup(LOCALES[DEFAULT_LOCALE], key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(locale).select(params.count ?? 0)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+// t(key, params) bound to one locale; t.locale tells which
+export function createTranslator(locale) {
+  const t = (key, params) => translate(locale, key, params);
+  t.locale = locale;
+  return t;
+}
+
+// The language chosen with /language, else the one Telegram reports for the user
+export async function userLocale(redis, userId, languageCode) {
+  const chosen = userId ? await redis.hget(LANGUAGES_KEY, userId) : null;
+  return resolveLocale(chosen || languageCode);
+}
+
+// locale: null to follow the Telegram language again
+export async function setUserLocale(redis, userId, locale) {
+  if (locale) await redis.hset(LANGUAGES_KEY, userId, locale);
+  else await redis.hdel(LANGUAGES_KEY, userId);
+}
@@ -0,0 +1,21 @@
+// Jobs interrupted by a worker shutdown - the worker requeues them with their
+// checkpoint and flags them, and the bot tells the user once the job is back
+//
+// vanity-interrupted:<jobId>   flag, set for the tracked job (the parent of a sharded job)
+
+// Abort reason for jobs still running when a worker's shutdown grace period ends
+export const INTERRUPTED = 'Interrupted';
+const INTERRUPTED_TTL_SECONDS = 86400;
+
+function interruptedKey(jobId) {
+  return `vanity-interrupted:${jobId}`;
+}
+
+export async function markInterrupted(redis, jobId) {
+  await redis.setex(interruptedKey(jobId), INTERRUPTED_TTL_SECONDS, '1');
+}
+
+// True for the first caller after an interruption only, so users are told once
+export async function takeInterrupted(redis, jobId) {
+  return (await redis.getdel(interruptedKey(jobId))) !== null;
+}
@@ -0,0 +1,72 @@
+// Passphrase-protected key delivery: scrypt + AES-256-GCM keystore files and
+// Solana CLI keypair files, bundled in an AES-encrypted ZIP
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { createEncryptedZip } from './zip.js';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, dklen: 32 };
+// scrypt needs 128 * N * r bytes
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Async so a batch of keystores doesn't block the bot's event loop
+function deriveKey(passphrase, salt, { N, r, p, dklen }) {
+  return scrypt(passphrase, salt, dklen, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+export async function encryptKeystore(secretKey, passphrase, address) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    address,
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    },
+  };
+}
+
+// Returns the 64-byte secret key; throws on a wrong passphrase
+export async function decryptKeystore(keystore, passphrase) {
+  const { kdfparams, iv, tag, ciphertext } = keystore.crypto;
+  const key = await deriveKey(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+}
+
+// Same format as `solana-keygen new -o keypair.json`
+export function solanaCliKeypair(secretKey) {
+  return JSON.stringify([...secretKey]);
+}
+
+// One keystore + one Solana CLI keypair file per wallet, all behind the passphrase
+export async function buildKeyArchive(wallets, passphrase) {
+  const entries = [];
+
+  for (const { address, privateKeyBytes } of wallets) {
+    const keystore = await encryptKeystore(privateKeyBytes, passphrase, address);
+    entries.push(
+      { name: `${address}.keystore.json`, data: JSON.stringify(keystore, null, 2) },
+      { name: `${address}.json`, data: solanaCliKeypair(privateKeyBytes) }
+    );
+  }
+
+  return createEncryptedZip(entries, passphrase);
+}
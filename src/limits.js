@@ -0,0 +1,111 @@
+// Per-user usage limits and priority tiers
+//
+// TIERS (JSON) overrides the default tiers by name. Each tier has jobsPerHour,
+// jobsPerDay, cpuSecondsPerDay, maxExpectedAttempts (pattern difficulty times
+// batch size) and the BullMQ priority of its jobs (1 = first). null means no limit.
+// PREMIUM_IDS (comma-separated) puts users in the premium tier, everyone else is
+// free; admins have no limits. Windows are fixed UTC hours and days.
+
+const DEFAULT_TIERS = {
+  free: { jobsPerHour: 5, jobsPerDay: 20, cpuSecondsPerDay: 7200, maxExpectedAttempts: 5e8, priority: 10 },
+  premium: { jobsPerHour: 30, jobsPerDay: 200, cpuSecondsPerDay: 86400, maxExpectedAttempts: null, priority: 1 },
+};
+
+const ADMIN_TIER = { jobsPerHour: null, jobsPerDay: null, cpuSecondsPerDay: null, maxExpectedAttempts: null, priority: 1 };
+
+const USAGE_TTL_SECONDS = 2 * 86400;
+
+export function loadTiers(env = process.env) {
+  const overrides = env.TIERS ? JSON.parse(env.TIERS) : {};
+  const tiers = {};
+  for (const name of new Set([...Object.keys(DEFAULT_TIERS), ...Object.keys(overrides)])) {
+    tiers[name] = { ...DEFAULT_TIERS.free, ...DEFAULT_TIERS[name], ...overrides[name] };
+  }
+
+  return {
+    tiers,
+    premiumIds: (env.PREMIUM_IDS || '').split(',').map(id => parseInt(id.trim())).filter(Boolean),
+  };
+}
+
+export function userTier(limits, userId, isAdmin) {
+  if (isAdmin) return { name: 'admin', ...ADMIN_TIER };
+  const name = limits.premiumIds.includes(userId) ? 'premium' : 'free';
+  return { name, ...limits.tiers[name] };
+}
+
+function windows(now = new Date()) {
+  const hour = new Date(now);
+  hour.setUTCMinutes(0, 0, 0);
+  const day = new Date(now);
+  day.setUTCHours(0, 0, 0, 0);
+
+  return {
+    hour: { id: hour.toISOString().slice(0, 13), resetsAt: hour.getTime() + 3600000 },
+    day: { id: day.toISOString().slice(0, 10), resetsAt: day.getTime() + 86400000 },
+  };
+}
+
+function usageKey(userId, counter, window) {
+  return `vanity-usage:${userId}:${counter}:${window}`;
+}
+
+export async function getUsage(redis, userId, now = new Date()) {
+  const { hour, day } = windows(now);
+  const [jobsThisHour, jobsToday, cpuSecondsToday] = await redis.mget(
+    usageKey(userId, 'jobs', hour.id),
+    usageKey(userId, 'jobs', day.id),
+    usageKey(userId, 'cpu', day.id)
+  );
+
+  return {
+    jobsThisHour: parseInt(jobsThisHour) || 0,
+    jobsToday: parseInt(jobsToday) || 0,
+    cpuSecondsToday: parseFloat(cpuSecondsToday) || 0,
+    hourResetsAt: hour.resetsAt,
+    dayResetsAt: day.resetsAt,
+  };
+}
+
+// The first limit the request would break, or null:
+// { reason: 'jobsPerHour' | 'jobsPerDay' | 'cpuSecondsPerDay' | 'maxExpectedAttempts', limit, used, resetsAt }
+export async function checkLimits(redis, tier, userId, expectedAttempts) {
+  if (tier.maxExpectedAttempts !== null && expectedAttempts > tier.maxExpectedAttempts) {
+    return { reason: 'maxExpectedAttempts', limit: tier.maxExpectedAttempts, used: expectedAttempts, resetsAt: null };
+  }
+
+  const usage = await getUsage(redis, userId);
+  const checks = [
+    ['jobsPerHour', usage.jobsThisHour, usage.hourResetsAt],
+    ['jobsPerDay', usage.jobsToday, usage.dayResetsAt],
+    ['cpuSecondsPerDay', usage.cpuSecondsToday, usage.dayResetsAt],
+  ];
+
+  for (const [reason, used, resetsAt] of checks) {
+    if (tier[reason] !== null && used >= tier[reason]) return { reason, limit: tier[reason], used, resetsAt };
+  }
+  return null;
+}
+
+export async function recordJob(redis, userId) {
+  const { hour, day } = windows();
+  await redis
+    .multi()
+    .incr(usageKey(userId, 'jobs', hour.id))
+    .expire(usageKey(userId, 'jobs', hour.id), USAGE_TTL_SECONDS)
+    .incr(usageKey(userId, 'jobs', day.id))
+    .expire(usageKey(userId, 'jobs', day.id), USAGE_TTL_SECONDS)
+    .exec();
+}
+
+// Wall time times generator threads, counted whether the job succeeded or not
+export async function recordCpuSeconds(redis, userId, seconds) {
+  if (!(seconds > 0)) return;
+
+  const { day } = windows();
+  await redis
+    .multi()
+    .incrbyfloat(usageKey(userId, 'cpu', day.id), seconds.toFixed(2))
+    .expire(usageKey(userId, 'cpu', day.id), USAGE_TTL_SECONDS)
+    .exec();
+}
@@ -0,0 +1,637 @@
+// English - the reference catalog; other languages fall back to it key by key
+//
+// {name} placeholders are filled in by t(); objects with one/other (few/many...)
+// are plural forms picked by the count param. Values are inserted as given,
+// so callers escape user input.
+
+export const messages = {
+  language: {
+    name: 'English',
+    title: '<b>🌐 Language</b>\n\nCurrent: {current}',
+    auto: '🔄 Automatic (Telegram language)',
+    changed: '✅ Language set to English.',
+    reset: '✅ Language follows your Telegram settings again.',
+  },
+
+  error: 'Error: <code>{error}</code>',
+
+  searchTypes: {
+    prefix: { label: 'Prefix', button: '📍 Prefix', placeholder: 'Enter prefix' },
+    suffix: { label: 'Suffix', button: '🔚 Suffix', placeholder: 'Enter suffix' },
+    both: { label: 'Prefix + Suffix', button: '↔️ Prefix + Suffix', placeholder: 'Enter prefix..suffix' },
+    contains: { label: 'Contains', button: '🔍 Contains', placeholder: 'Enter text' },
+    multi: { label: 'Any Of', button: '🎲 Any of several', placeholder: 'Enter patterns' },
+  },
+
+  case: {
+    sensitive: '🔤 Sensitive',
+    insensitive: '🔡 Insensitive',
+  },
+
+  buttons: {
+    generateNow: '🚀 Generate Now',
+    generateAgain: '🚀 Generate Again',
+    anotherOne: '🔄 Generate Again',
+    cancel: '❌ Cancel',
+    insensitiveFaster: '🔡 Insensitive (faster)',
+    wallets: '👛 {count}',
+    deliverMessage: '💬 Message',
+    deliverEncrypted: '🔐 Encrypted file',
+    deliverSplit: '🧩 Split key (trustless)',
+    deliverMint: '🪙 Token mint',
+    deliverMnemonic: '🌱 Seed phrase · {words}',
+    exclude: '🚫 Exclude words',
+    newer: '◀️ Newer',
+    older: 'Older ▶️',
+  },
+
+  banned: {
+    alert: '🚫 You are banned from this bot',
+    message: '🚫 You are banned from this bot.',
+  },
+
+  estimate: {
+    attempts: '~{attempts} attempts',
+    withTime: '~{attempts} attempts, ~{duration} on current hardware',
+    usage: `<b>📐 Estimate</b>
+
+Usage: <code>/estimate [type] pattern</code>
+Types: {types}
+
+<i>Example: /estimate suffix END</i>`,
+    line: `{case}: {estimate}
+<i>95% chance within {likely}</i>`,
+    result: `<b>📐 Estimate</b>
+
+Type: <code>{type}</code>
+Pattern: <code>{pattern}</code>
+
+{lines}
+
+{speed}`,
+    speed: '⚡ Measured speed: {speed} keys/sec',
+    noSpeed: '⚡ No speed measurement yet',
+    mnemonic: '🌱 Seed phrase: each attempt costs ~{cost}× more, so expect ~{cost}× the time',
+  },
+
+  limits: {
+    resets: '\n\n⏱️ Resets in {duration}',
+    jobsPerHour: {
+      one: `⏳ <b>Hourly limit reached</b>
+
+Your tier allows {count} generation per hour.{resets}`,
+      other: `⏳ <b>Hourly limit reached</b>
+
+Your tier allows {count} generations per hour.{resets}`,
+    },
+    jobsPerDay: {
+      one: `⏳ <b>Daily limit reached</b>
+
+Your tier allows {count} generation per day.{resets}`,
+      other: `⏳ <b>Daily limit reached</b>
+
+Your tier allows {count} generations per day.{resets}`,
+    },
+    cpuSecondsPerDay: `⏳ <b>Daily CPU quota used up</b>
+
+Your tier allows {limit} of CPU time per day.{resets}`,
+    maxExpectedAttempts: `🧮 <b>Too difficult for your tier</b>
+
+This needs ~{used} attempts, your tier allows up to {limit}.
+Try a shorter pattern, case-insensitive search or fewer wallets.`,
+  },
+
+  progress: {
+    text: `⚙️ <b>Generating...</b>
+
+Type: <code>{type}</code>
+Search: <code>{pattern}</code>
+Case: {case}
+
+🔢 Attempts: {attempts}
+⚡ Speed: {speed} keys/sec{shards}
+{odds}{filtered}
+⏱️ ETA: {eta}`,
+    found: '👛 Found: {found}/{total}',
+    chance: '🎲 Chance so far: {chance}',
+    shards: ' ({count} shards)',
+    filtered: '\n🛡️ Filtered: {count}',
+  },
+
+  failure: {
+    cancelled: `<b>❌ Generation cancelled</b>
+
+Your wallet generation has been cancelled.
+
+Try /generate again`,
+    failed: `<b>❌ Generation failed</b>
+
+<code>{error}</code>
+
+Try /generate again`,
+  },
+
+  delivery: {
+    splitItem: `<b>Address</b>
+<code>{address}</code>
+<b>Tweak</b>
+<code>{tweak}</code>
+<code>node tools/split-key.js combine base-keypair.json {tweak} {address}</code>`,
+    split: `<b>🧩 Split-Key Result</b>
+
+{list}
+
+Run the command on the device holding <code>base-keypair.json</code> to get your private key and verify the address.
+
+<i>🔐 The tweak alone is useless - only you can compute the private key.</i>`,
+    encrypted: {
+      one: `<b>🔐 Encrypted Wallet</b>
+
+{addresses}
+
+Open the ZIP with your passphrase (7-Zip, WinZip, WinRAR). For each wallet it holds:
+• <code>ADDRESS.json</code> - Solana CLI keypair
+• <code>ADDRESS.keystore.json</code> - scrypt + AES-GCM keystore
+
+<i>🔐 The private key never appeared in this chat.</i>`,
+      other: `<b>🔐 Encrypted Wallets</b>
+
+{addresses}
+
+Open the ZIP with your passphrase (7-Zip, WinZip, WinRAR). For each wallet it holds:
+• <code>ADDRESS.json</code> - Solana CLI keypair
+• <code>ADDRESS.keystore.json</code> - scrypt + AES-GCM keystore
+
+<i>🔐 The private key never appeared in this chat.</i>`,
+    },
+    matchedPattern: '\n<b>Matched Pattern</b>\n<code>{pattern}</code>\n',
+    mint: `<b>🪙 Token Mint Keypair</b>
+
+<b>Mint Address</b>
+<code>{address}</code>
+
+<b>Secret Key (base58)</b>
+<code>{privateKey}</code>
+
+The file is a Solana CLI keypair - create the token with
+<code>spl-token create-token {address}.json</code>
+or build an unsigned InitializeMint transaction offline and sign it elsewhere:
+<code>node tools/mint.js init-tx {address}.json --payer YOUR_WALLET</code>`,
+    mnemonicItem: `<b>Address</b>
+<code>{address}</code>
+{matched}
+<b>Recovery Phrase ({words})</b>
+<code>{mnemonic}</code>`,
+    mnemonicWords: '{count} words',
+    mnemonic: `<b>🌱 Seed Phrase Wallet</b>
+
+{list}
+
+<b>Import to Phantom or Solflare</b>
+1. Choose "Import Recovery Phrase"
+2. Enter the words in order
+3. The vanity address is the first account (path <code>{path}</code>)
+
+<i>🔐 Anyone with these words owns the wallet - keep them secret!</i>`,
+    mnemonicFile: `<b>🌱 {count} Seed Phrase Wallets</b>
+
+{addresses}
+
+<i>🔐 The recovery phrases (path <code>{path}</code>) are in the file - keep it secret!</i>`,
+    filtered: '\n\n🛡️ Matches skipped by the safety filters: {count}',
+    single: `<b>🔑 Wallet Details</b>
+
+<b>Public Address</b>
+<code>{address}</code>
+{matched}
+<b>Private Key</b>
+<code>{privateKey}</code>
+
+<b>Import to Phantom</b>
+1. Click "Add Account"
+2. Choose "Import Private Key"
+3. Paste private key above
+
+<i>🔐 Keep this secret!</i>
+
+Want another?`,
+    batch: `<b>🔑 {count} Wallets</b>
+
+<i>Address, then private key</i>
+
+{list}
+
+<i>🔐 Keep these secret!</i>`,
+    file: `<b>🔑 {count} Wallets</b>
+
+{addresses}
+
+<i>🔐 Private keys are in the file - keep it secret!</i>`,
+  },
+
+  start: {
+    text: `<b>🔑 Solana Vanity Address Generator</b>
+
+Premium custom address generation service!
+
+<b>Queue Status</b>
+🟢 Active: {active}
+⏳ Waiting: {waiting}
+
+<b>Your Stats</b>
+📊 Addresses: {addresses}
+📈 Generations: {jobs}
+
+<b>Commands</b>
+/generate - Start generation
+/info - How it works
+/estimate - Estimate a pattern
+/stats - View stats
+/history - Your past addresses
+/language - Change language
+/about - About this bot`,
+  },
+
+  generate: {
+    busy: `⚠️ <b>You already have a generation in progress!</b>
+
+Please wait for your current wallet to finish generating before starting a new one.`,
+    busyShort: '⚠️ <b>You already have a generation in progress!</b>',
+    busyAlert: '⚠️ You already have a generation in progress!',
+    title: `<b>🎯 Vanity Address Generation</b>
+
+Queue: {active} active, {waiting} waiting
+
+What do you want to find?`,
+    titleShort: `<b>🎯 Vanity Address Generation</b>
+
+What do you want to find?`,
+    usage: `<b>🎯 One-shot generation</b>
+
+Usage: <code>/generate [type] pattern [-c] [-x word,word]</code>
+Types: {types}
+<code>-c</code> / <code>--case</code> - case-sensitive (default: insensitive)
+<code>-x</code> / <code>--exclude</code> - skip addresses containing these words
+
+<i>Examples: /generate prefix SOL, /generate suffix abc -c, /generate both AB..CD</i>`,
+    noWorker: `⚠️ <b>No worker can run this right now</b>
+
+Try a shorter pattern or another delivery option.`,
+  },
+
+  info: {
+    columnLength: 'String Length',
+    columnInsensitive: 'Insensitive',
+    columnSensitive: 'Sensitive',
+    chars: { one: '{count} char', other: '{count} chars' },
+    text: `<b>How Vanity Addresses Work</b>
+
+A custom address starting/ending with your chosen text.
+
+<b>⏱️ Generation Time Estimate</b>
+
+<pre>{table}</pre>
+
+<b>💡 Tips</b>
+📍 <b>Prefix search</b> is case-insensitive by default
+🔚 <b>Suffix search</b> works with both cases
+🔤 <b>Case-sensitive</b> takes longer but matches exact casing
+🔢 Prefixes starting with <code>2</code>-<code>H</code> are ~60x easier than other first characters
+📐 /estimate <code>[type] pattern</code> - exact estimate for your pattern
+
+<b>🔐 Security</b>
+✅ 100% generated locally
+✅ Keys and your messages are never logged
+✅ Safe to use immediately`,
+  },
+
+  stats: {
+    unlimited: 'unlimited',
+    remaining: '{left} of {limit}',
+    text: `<b> Your Statistics</b>
+
+Addresses generated: <code>{addresses}</code>
+Generations: <code>{jobs}</code> (✅ {success} · ❌ {failed} · 🛑 {cancelled} · ⏱️ {timeout})
+/history to browse your addresses
+
+<b>Your Quota</b> ({tier} tier)
+This hour: {hour} generations left
+Today: {day} generations left
+CPU today: {cpu} left
+Resets: hourly, and daily at 00:00 UTC
+
+<b>System Status</b>
+Active generations: {active}
+Queued: {waiting}
+Addresses generated by everyone: {total}
+
+/generate to create more!`,
+  },
+
+  history: {
+    empty: '<b>📜 Your History</b>\n\nNothing yet - /generate your first address!',
+    title: `<b>📜 Your History</b> (page {page}/{pages})
+
+{list}`,
+    entry: '{type} <code>{pattern}</code> {case}{wallets} · {attempts} attempts · {duration}',
+    outcomes: {
+      success: '✅',
+      failed: '❌ failed',
+      cancelled: '🛑 cancelled',
+      timeout: '⏱️ timed out',
+    },
+  },
+
+  about: {
+    text: `<b> About Solvan</b>
+
+<b>Solana Vanity Address Generator</b>
+
+Open source project for generating custom Solana addresses
+
+<b>Build Your Own Bot</b>
+<code>https://github.com/whale-professor/Solvan</code>
+
+<b>Features</b>
+✨ Prefix & Suffix generation
+🔐 100% local, secure generation
+📊 Statistics tracking
+⚡ Fast queue-based processing
+
+<b>Contact & Support</b>
+Telegram: @WhaleProfessor
+GitHub Issues: Report bugs
+
+Built with ❤️ for the Solana community`,
+  },
+
+  pattern: {
+    mode: `<b>{label} Mode</b>
+
+{hint}
+
+<i>Example: {example}</i>`,
+    hints: {
+      prefix: 'Enter your desired prefix (1-{max} chars)',
+      suffix: 'Enter your desired suffix (1-{max} chars)',
+      both: 'Enter <code>PREFIX..SUFFIX</code> (1-{max} chars in total)',
+      contains: 'Enter text to find anywhere in the address (1-{max} chars)',
+      multi: `Enter 2-{alternatives} patterns separated by commas - the first address matching any of them wins.
+Plain text is a prefix, <code>..END</code> a suffix, <code>AB..CD</code> both`,
+    },
+    // Validation errors, by PatternError reason
+    errors: {
+      length: `Invalid length! Must be 1-{max} characters.
+
+Entered: <code>{text}</code> ({length} chars){restricted}`,
+      restricted: '\n\n🔒 Patterns of {length} characters are restricted on this bot.',
+      charset: `❌ Invalid Base58 character in <code>{text}</code>!
+
+<b>Cannot use:</b>
+0 (zero), O (capital), I (capital), l (lowercase L)
+
+<b>Can use:</b>
+lowercase i, uppercase L, all numbers except 0, all other letters`,
+      format: `❌ Invalid format!
+
+Use PREFIX..SUFFIX, e.g. AB..CD`,
+      count: `❌ Invalid number of patterns!
+
+Enter 2-{alternatives} patterns separated by commas (got {count})`,
+      exclude: `❌ Invalid exclude list!
+
+Exclude up to {maxExclude} comma-separated words of {minWord}-{maxWord} letters or digits, e.g. <code>-x bad,word</code>`,
+      blocked: `🚫 <code>{text}</code> can't be generated!
+
+It contains a blocked or excluded word, or mimics a well-known Solana address.`,
+    },
+    suggestion: '\n\n💡 Did you mean <code>{suggestion}</code>?',
+    caseQuestion: `<b>Case Sensitivity</b>
+
+<code>{pattern}</code> vs <code>{lower}</code>?
+
+<b>Expected</b>
+{estimates}
+⏱️ Time limit: {limit}
+
+Should search be case-sensitive?`,
+    notAllowed: `🔒 <b>{length}-character patterns are not allowed</b> in this case mode.
+
+Try /generate again`,
+    howMany: `<b>How Many Wallets?</b>
+
+Search: <code>{pattern}</code>
+Case: {case}{exclude}
+
+<i>Each extra wallet takes about as long as the first one.</i>`,
+    excluding: '\nExcluding: <code>{words}</code>',
+    excludeQuestion: `<b>🚫 Exclude Words</b>
+
+Send comma-separated words the address must not contain, e.g. <code>scam,rug</code> - up to {maxExclude} words of {minWord}-{maxWord} letters or digits.
+
+<i>Send <code>-</code> to clear the list.</i>`,
+  },
+
+  inline: {
+    invalid: '❌ Invalid pattern',
+    suggestion: 'Did you mean {suggestion}?',
+    usage: '[type] pattern [-c] - e.g. suffix abc -c',
+    result: `<b>📐 Vanity address estimate</b>
+
+Type: <code>{type}</code>
+Pattern: <code>{pattern}</code>
+Case: {case}
+
+{estimate}`,
+  },
+
+  deliveryChoice: {
+    text: `<b>Key Delivery</b>
+
+💬 <b>Message</b> - private key as plain text in this chat
+🔐 <b>Encrypted file</b> - password-protected ZIP with an encrypted keystore and a Solana CLI keypair file; the key never appears in the chat
+🪙 <b>Token mint</b> - keypair to create a token with this address: Solana CLI keypair file and base58 secret
+🌱 <b>Seed phrase</b> - 12 or 24-word recovery phrase to import into Phantom or Solflare; each attempt is ~{cost}× slower{mnemonic}
+🧩 <b>Split key</b> - trustless: you send a public key made on your device, we find a tweak, only you can compute the private key{unavailable}`,
+    unavailable: ' <i>(unavailable on this bot)</i>',
+    mnemonicEstimate: '\n      <i>{estimate}</i>',
+    split: `<b>🧩 Split-Key Mode</b>
+
+1. On your own device, in a checkout of the Solvan repo:
+<code>node tools/split-key.js keygen</code>
+2. Keep <code>base-keypair.json</code> safe and send me the printed public key.
+
+<i>⚠️ The final key is a raw ed25519 scalar - it works with tools that accept expanded keys, but seed-based wallets like Phantom can't import it.</i>`,
+    splitPlaceholder: 'Base public key',
+    invalidKey: `❌ Invalid public key: {error}
+
+Send the base58 public key printed by <code>node tools/split-key.js keygen</code>`,
+    passphrase: `<b>🔐 Choose a Passphrase</b>
+
+At least {min} characters. You will need it to open the ZIP and the keystore.
+Your message is deleted right after it is read.
+
+<i>⚠️ Lose it and the wallet is gone - we can't recover it!</i>`,
+    passphrasePlaceholder: 'Enter passphrase',
+    passphraseShort: '❌ Passphrase too short! Use at least {min} characters.',
+  },
+
+  queued: {
+    text: `⏳ <b>Queued for generation!</b>
+
+Type: <code>{type}</code>
+Search: <code>{pattern}</code>
+Case: {case}{wallets}
+Delivery: {delivery}
+
+📊 Queue position: #{position}
+{active}`,
+    wallets: '\nWallets: {count}',
+    active: { one: '⚙️ {count} generation in progress...', other: '⚙️ {count} generations in progress...' },
+    deliveryMessage: '💬 Message',
+    deliveryEncrypted: '🔐 Encrypted file',
+    deliverySplit: '🧩 Split key',
+    deliveryMint: '🪙 Token mint keypair',
+    deliveryMnemonic: '🌱 Seed phrase',
+  },
+
+  resume: {
+    waiting: `⏳ <b>Waiting for a worker</b>
+
+Type: <code>{type}</code>
+Search: <code>{pattern}</code>
+Case: {case}{attempts}
+
+📊 Jobs waiting: {waiting}`,
+    attempts: '\n🔢 Attempts so far: {attempts}',
+    notice: `♻️ <b>Your generation was resumed</b>
+
+A restart interrupted it - it went back to the queue and carries on from {attempts} attempts.`,
+  },
+
+  cancel: {
+    none: '❌ No active generation found!',
+    alert: '🛑 Cancelling...',
+    text: `<b>🛑 Cancelling...</b>
+
+Stopping your wallet generation.`,
+  },
+
+  // Admin commands - only for the operators, so other catalogs may leave these out
+  admin: {
+    unauthorized: `❌ <b>Unauthorized</b>
+
+You don't have permission to use this command.`,
+    queue: {
+      text: `<b>📋 Queue</b>{paused}
+
+🟢 Active: {active}
+⏳ Waiting: {waiting}
+
+{jobs}{more}
+
+/kill <code>jobId</code> to cancel a job`,
+      paused: ' <b>(paused)</b>',
+      empty: '<i>No jobs</i>',
+      more: '\n<i>...and {count} more</i>',
+      user: 'user {id}',
+      api: 'api {name}',
+    },
+    kill: {
+      usage: 'Usage: <code>/kill jobId</code> (see /queue)',
+      notFound: '❌ No running or waiting job <code>{jobId}</code>',
+      done: '🛑 Job <code>{jobId}</code> cancelled - its owner is notified.',
+    },
+    ban: {
+      usage: 'Usage: <code>/ban userId [reason]</code>',
+      admin: '❌ Admins can\'t be banned.',
+      done: '🚫 User <code>{userId}</code> banned.',
+      doneWithJob: '🚫 User <code>{userId}</code> banned and job <code>{jobId}</code> cancelled.',
+    },
+    unban: {
+      usage: 'Usage: <code>/unban userId</code>',
+      done: '✅ User <code>{userId}</code> unbanned.',
+      notBanned: 'User <code>{userId}</code> wasn\'t banned.',
+    },
+    broadcast: {
+      usage: 'Usage: <code>/broadcast text</code> - sent as plain text to every user',
+      started: '📢 Broadcasting... I\'ll report when it\'s done.',
+      done: `📢 <b>Broadcast done</b>
+
+✅ Sent: {sent}
+❌ Unreachable: {failed}`,
+    },
+    setlimit: {
+      current: `<b>⚙️ Limits</b>
+
+{limits}
+
+{usage}`,
+      updated: `✅ <b>Limits updated</b>
+
+{limits}`,
+      error: `❌ {error}
+
+{usage}`,
+      limits: `<b>Length</b>
+Max: {sensitive} sensitive, {insensitive} insensitive
+{lengths}
+
+<b>Tiers</b>
+{tiers}`,
+      length: '{length}+ chars: {allow}, {timeout}',
+    },
+    pause: '⏸️ <b>Queue paused</b>\n\nRunning jobs finish, new jobs wait. /resume to continue.',
+    resume: '▶️ <b>Queue resumed</b>',
+    audit: `<b>📜 Audit Log</b>
+
+{entries}`,
+    empty: '<i>Empty</i>',
+    noData: '<i>No data yet</i>',
+    noMeasurements: '<i>No measurements yet</i>',
+    stats: {
+      text: `<b>📊 Analytics</b>
+
+<b>Queue</b>: {active} active, {waiting} waiting
+
+<b>Jobs per day</b> (UTC)
+{days}
+
+<b>All time</b>: {jobs} jobs
+✅ {success} · ❌ {failed} · 🛑 {cancelled} · ⏱️ {timeout}
+
+<b>Wait / run</b> (avg / p95, recent successful jobs, by length)
+{timings}
+
+<b>Top patterns</b>
+{patterns}
+
+<b>Workers</b>
+{workers}`,
+      timing: '{length} {case} wait {waitAvg} / {waitP95} · run {runAvg} / {runP95} (n={count})',
+      worker: '<code>{id}</code> {speed} keys/sec ({age} ago)',
+    },
+    workers: {
+      text: `<b>🖥️ Workers</b> ({count} alive)
+
+{list}`,
+      line: `<code>{id}</code> {engine}, {threads} threads × {concurrency} jobs, {running} running
+⚡ {speed} keys/sec · max length {maxLength}{split} · up {uptime}, seen {age} ago`,
+      split: ' · split keys',
+      none: 'No workers alive. Start one with <code>node worker.js</code> or run the bot without BOT_ONLY.',
+    },
+    clearqueue: {
+      done: {
+        one: `✅ <b>Queue Cleared!</b>
+
+{count} job cancelled. Their users have been notified.`,
+        other: `✅ <b>Queue Cleared!</b>
+
+{count} jobs cancelled. Their users have been notified.`,
+      },
+      error: `❌ <b>Error clearing queue</b>
+
+<code>{error}</code>`,
+    },
+  },
+};
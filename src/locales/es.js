@@ -0,0 +1,631 @@
+// Spanish
+
+export const messages = {
+  language: {
+    name: 'Español',
+    title: '<b>🌐 Idioma</b>\n\nActual: {current}',
+    auto: '🔄 Automático (idioma de Telegram)',
+    changed: '✅ Idioma cambiado a español.',
+    reset: '✅ El idioma vuelve a seguir tu configuración de Telegram.',
+  },
+
+  error: 'Error: <code>{error}</code>',
+
+  searchTypes: {
+    prefix: { label: 'Prefijo', button: '📍 Prefijo', placeholder: 'Escribe el prefijo' },
+    suffix: { label: 'Sufijo', button: '🔚 Sufijo', placeholder: 'Escribe el sufijo' },
+    both: { label: 'Prefijo + Sufijo', button: '↔️ Prefijo + Sufijo', placeholder: 'Escribe prefijo..sufijo' },
+    contains: { label: 'Contiene', button: '🔍 Contiene', placeholder: 'Escribe el texto' },
+    multi: { label: 'Cualquiera', button: '🎲 Uno de varios', placeholder: 'Escribe los patrones' },
+  },
+
+  case: {
+    sensitive: '🔤 Exacto',
+    insensitive: '🔡 Sin distinguir',
+  },
+
+  buttons: {
+    generateNow: '🚀 Generar ahora',
+    generateAgain: '🚀 Generar de nuevo',
+    anotherOne: '🔄 Generar de nuevo',
+    cancel: '❌ Cancelar',
+    insensitiveFaster: '🔡 Sin distinguir (más rápido)',
+    wallets: '👛 {count}',
+    deliverMessage: '💬 Mensaje',
+    deliverEncrypted: '🔐 Archivo cifrado',
+    deliverSplit: '🧩 Clave dividida (sin confianza)',
+    deliverMint: '🪙 Mint de token',
+    deliverMnemonic: '🌱 Frase semilla · {words}',
+    exclude: '🚫 Excluir palabras',
+    newer: '◀️ Más recientes',
+    older: 'Anteriores ▶️',
+  },
+
+  banned: {
+    alert: '🚫 Tienes prohibido usar este bot',
+    message: '🚫 Tienes prohibido usar este bot.',
+  },
+
+  estimate: {
+    attempts: '~{attempts} intentos',
+    withTime: '~{attempts} intentos, ~{duration} con el hardware actual',
+    usage: `<b>📐 Estimación</b>
+
+Uso: <code>/estimate [tipo] patrón</code>
+Tipos: {types}
+
+<i>Ejemplo: /estimate suffix END</i>`,
+    line: `{case}: {estimate}
+<i>95% de probabilidad en menos de {likely}</i>`,
+    result: `<b>📐 Estimación</b>
+
+Tipo: <code>{type}</code>
+Patrón: <code>{pattern}</code>
+
+{lines}
+
+{speed}`,
+    speed: '⚡ Velocidad medida: {speed} claves/s',
+    noSpeed: '⚡ Aún no hay medición de velocidad',
+    mnemonic: '🌱 Frase semilla: cada intento cuesta ~{cost}× más, así que cuenta con ~{cost}× el tiempo',
+  },
+
+  limits: {
+    resets: '\n\n⏱️ Se reinicia en {duration}',
+    jobsPerHour: {
+      one: `⏳ <b>Límite por hora alcanzado</b>
+
+Tu nivel permite {count} generación por hora.{resets}`,
+      other: `⏳ <b>Límite por hora alcanzado</b>
+
+Tu nivel permite {count} generaciones por hora.{resets}`,
+    },
+    jobsPerDay: {
+      one: `⏳ <b>Límite diario alcanzado</b>
+
+Tu nivel permite {count} generación por día.{resets}`,
+      other: `⏳ <b>Límite diario alcanzado</b>
+
+Tu nivel permite {count} generaciones por día.{resets}`,
+    },
+    cpuSecondsPerDay: `⏳ <b>Cuota diaria de CPU agotada</b>
+
+Tu nivel permite {limit} de tiempo de CPU por día.{resets}`,
+    maxExpectedAttempts: `🧮 <b>Demasiado difícil para tu nivel</b>
+
+Se necesitan ~{used} intentos, tu nivel permite hasta {limit}.
+Prueba un patrón más corto, sin distinguir mayúsculas o menos wallets.`,
+  },
+
+  progress: {
+    text: `⚙️ <b>Generando...</b>
+
+Tipo: <code>{type}</code>
+Búsqueda: <code>{pattern}</code>
+Mayúsculas: {case}
+
+🔢 Intentos: {attempts}
+⚡ Velocidad: {speed} claves/s{shards}
+{odds}{filtered}
+⏱️ Tiempo restante: {eta}`,
+    found: '👛 Encontradas: {found}/{total}',
+    chance: '🎲 Probabilidad hasta ahora: {chance}',
+    shards: ' ({count} fragmentos)',
+    filtered: '\n🛡️ Filtradas: {count}',
+  },
+
+  failure: {
+    cancelled: `<b>❌ Generación cancelada</b>
+
+Tu generación de wallet ha sido cancelada.
+
+Prueba /generate de nuevo`,
+    failed: `<b>❌ La generación falló</b>
+
+<code>{error}</code>
+
+Prueba /generate de nuevo`,
+  },
+
+  delivery: {
+    splitItem: `<b>Dirección</b>
+<code>{address}</code>
+<b>Tweak</b>
+<code>{tweak}</code>
+<code>node tools/split-key.js combine base-keypair.json {tweak} {address}</code>`,
+    split: `<b>🧩 Resultado de clave dividida</b>
+
+{list}
+
+Ejecuta el comando en el dispositivo que tiene <code>base-keypair.json</code> para obtener tu clave privada y verificar la dirección.
+
+<i>🔐 El tweak por sí solo no sirve de nada: solo tú puedes calcular la clave privada.</i>`,
+    encrypted: {
+      one: `<b>🔐 Wallet cifrada</b>
+
+{addresses}
+
+Abre el ZIP con tu frase de contraseña (7-Zip, WinZip, WinRAR). Para cada wallet contiene:
+• <code>ADDRESS.json</code> - keypair para Solana CLI
+• <code>ADDRESS.keystore.json</code> - keystore scrypt + AES-GCM
+
+<i>🔐 La clave privada nunca apareció en este chat.</i>`,
+      other: `<b>🔐 Wallets cifradas</b>
+
+{addresses}
+
+Abre el ZIP con tu frase de contraseña (7-Zip, WinZip, WinRAR). Para cada wallet contiene:
+• <code>ADDRESS.json</code> - keypair para Solana CLI
+• <code>ADDRESS.keystore.json</code> - keystore scrypt + AES-GCM
+
+<i>🔐 La clave privada nunca apareció en este chat.</i>`,
+    },
+    matchedPattern: '\n<b>Patrón encontrado</b>\n<code>{pattern}</code>\n',
+    mint: `<b>🪙 Keypair de mint de token</b>
+
+<b>Dirección del mint</b>
+<code>{address}</code>
+
+<b>Clave secreta (base58)</b>
+<code>{privateKey}</code>
+
+El archivo es un keypair de Solana CLI - crea el token con
+<code>spl-token create-token {address}.json</code>
+o genera sin conexión una transacción InitializeMint sin firmar y fírmala en otro lugar:
+<code>node tools/mint.js init-tx {address}.json --payer TU_WALLET</code>`,
+    mnemonicItem: `<b>Dirección</b>
+<code>{address}</code>
+{matched}
+<b>Frase de recuperación ({words})</b>
+<code>{mnemonic}</code>`,
+    mnemonicWords: '{count} palabras',
+    mnemonic: `<b>🌱 Wallet con frase semilla</b>
+
+{list}
+
+<b>Importar en Phantom o Solflare</b>
+1. Elige "Importar frase de recuperación"
+2. Escribe las palabras en orden
+3. La dirección personalizada es la primera cuenta (ruta <code>{path}</code>)
+
+<i>🔐 Quien tenga estas palabras controla la wallet - ¡mantenlas en secreto!</i>`,
+    mnemonicFile: `<b>🌱 {count} wallets con frase semilla</b>
+
+{addresses}
+
+<i>🔐 Las frases de recuperación (ruta <code>{path}</code>) están en el archivo - ¡mantenlo en secreto!</i>`,
+    filtered: '\n\n🛡️ Coincidencias omitidas por los filtros de seguridad: {count}',
+    single: `<b>🔑 Datos de la wallet</b>
+
+<b>Dirección pública</b>
+<code>{address}</code>
+{matched}
+<b>Clave privada</b>
+<code>{privateKey}</code>
+
+<b>Importar en Phantom</b>
+1. Pulsa "Añadir cuenta"
+2. Elige "Importar clave privada"
+3. Pega la clave privada de arriba
+
+<i>🔐 ¡Mantenla en secreto!</i>
+
+¿Quieres otra?`,
+    batch: `<b>🔑 {count} wallets</b>
+
+<i>Dirección y después clave privada</i>
+
+{list}
+
+<i>🔐 ¡Mantenlas en secreto!</i>`,
+    file: `<b>🔑 {count} wallets</b>
+
+{addresses}
+
+<i>🔐 Las claves privadas están en el archivo: ¡guárdalo en secreto!</i>`,
+  },
+
+  start: {
+    text: `<b>🔑 Generador de direcciones vanity de Solana</b>
+
+¡Servicio premium de direcciones personalizadas!
+
+<b>Estado de la cola</b>
+🟢 Activas: {active}
+⏳ En espera: {waiting}
+
+<b>Tus estadísticas</b>
+📊 Direcciones: {addresses}
+📈 Generaciones: {jobs}
+
+<b>Comandos</b>
+/generate - Empezar una generación
+/info - Cómo funciona
+/estimate - Estimar un patrón
+/stats - Ver estadísticas
+/history - Tus direcciones anteriores
+/language - Cambiar idioma
+/about - Acerca de este bot`,
+  },
+
+  generate: {
+    busy: `⚠️ <b>¡Ya tienes una generación en curso!</b>
+
+Espera a que termine tu wallet actual antes de empezar otra.`,
+    busyShort: '⚠️ <b>¡Ya tienes una generación en curso!</b>',
+    busyAlert: '⚠️ ¡Ya tienes una generación en curso!',
+    title: `<b>🎯 Generación de direcciones vanity</b>
+
+Cola: {active} activas, {waiting} en espera
+
+¿Qué quieres encontrar?`,
+    titleShort: `<b>🎯 Generación de direcciones vanity</b>
+
+¿Qué quieres encontrar?`,
+    usage: `<b>🎯 Generación directa</b>
+
+Uso: <code>/generate [tipo] patrón [-c] [-x palabra,palabra]</code>
+Tipos: {types}
+<code>-c</code> / <code>--case</code> - distinguir mayúsculas (por defecto: no)
+<code>-x</code> / <code>--exclude</code> - omitir direcciones que contengan estas palabras
+
+<i>Ejemplos: /generate prefix SOL, /generate suffix abc -c, /generate both AB..CD</i>`,
+    noWorker: `⚠️ <b>Ningún worker puede ejecutar esto ahora</b>
+
+Prueba un patrón más corto u otra forma de entrega.`,
+  },
+
+  info: {
+    columnLength: 'Longitud',
+    columnInsensitive: 'Sin disting.',
+    columnSensitive: 'Exacto',
+    chars: { one: '{count} carácter', other: '{count} caract.' },
+    text: `<b>Cómo funcionan las direcciones vanity</b>
+
+Una dirección personalizada que empieza o termina con el texto que elijas.
+
+<b>⏱️ Tiempo estimado de generación</b>
+
+<pre>{table}</pre>
+
+<b>💡 Consejos</b>
+📍 La <b>búsqueda por prefijo</b> no distingue mayúsculas por defecto
+🔚 La <b>búsqueda por sufijo</b> funciona en ambos modos
+🔤 <b>Distinguir mayúsculas</b> tarda más pero respeta exactamente las mayúsculas
+🔢 Los prefijos que empiezan por <code>2</code>-<code>H</code> son ~60 veces más fáciles que con otros primeros caracteres
+📐 /estimate <code>[tipo] patrón</code> - estimación exacta para tu patrón
+
+<b>🔐 Seguridad</b>
+✅ 100% generado localmente
+✅ Ni las claves ni tus mensajes se registran
+✅ Listo para usar de inmediato`,
+  },
+
+  stats: {
+    unlimited: 'ilimitado',
+    remaining: '{left} de {limit}',
+    text: `<b> Tus estadísticas</b>
+
+Direcciones generadas: <code>{addresses}</code>
+Generaciones: <code>{jobs}</code> (✅ {success} · ❌ {failed} · 🛑 {cancelled} · ⏱️ {timeout})
+/history para ver tus direcciones
+
+<b>Tu cuota</b> (nivel {tier})
+Esta hora: quedan {hour} generaciones
+Hoy: quedan {day} generaciones
+CPU hoy: quedan {cpu}
+Reinicio: cada hora, y diario a las 00:00 UTC
+
+<b>Estado del sistema</b>
+Generaciones activas: {active}
+En cola: {waiting}
+Direcciones generadas por todos: {total}
+
+¡/generate para crear más!`,
+  },
+
+  history: {
+    empty: '<b>📜 Tu historial</b>\n\nNada todavía: ¡/generate tu primera dirección!',
+    title: `<b>📜 Tu historial</b> (página {page}/{pages})
+
+{list}`,
+    entry: '{type} <code>{pattern}</code> {case}{wallets} · {attempts} intentos · {duration}',
+    outcomes: {
+      success: '✅',
+      failed: '❌ fallida',
+      cancelled: '🛑 cancelada',
+      timeout: '⏱️ tiempo agotado',
+    },
+  },
+
+  about: {
+    text: `<b> Acerca de Solvan</b>
+
+<b>Generador de direcciones vanity de Solana</b>
+
+Proyecto de código abierto para generar direcciones de Solana personalizadas
+
+<b>Crea tu propio bot</b>
+<code>https://github.com/whale-professor/Solvan</code>
+
+<b>Funciones</b>
+✨ Generación por prefijo y sufijo
+🔐 Generación 100% local y segura
+📊 Estadísticas
+⚡ Procesamiento rápido por cola
+
+<b>Contacto y soporte</b>
+Telegram: @WhaleProfessor
+GitHub Issues: informa de errores
+
+Hecho con ❤️ para la comunidad de Solana`,
+  },
+
+  pattern: {
+    mode: `<b>Modo {label}</b>
+
+{hint}
+
+<i>Ejemplo: {example}</i>`,
+    hints: {
+      prefix: 'Escribe el prefijo que quieres (1-{max} caracteres)',
+      suffix: 'Escribe el sufijo que quieres (1-{max} caracteres)',
+      both: 'Escribe <code>PREFIJO..SUFIJO</code> (1-{max} caracteres en total)',
+      contains: 'Escribe el texto que debe aparecer en cualquier parte de la dirección (1-{max} caracteres)',
+      multi: `Escribe 2-{alternatives} patrones separados por comas: gana la primera dirección que coincida con cualquiera.
+Texto simple es un prefijo, <code>..END</code> un sufijo, <code>AB..CD</code> ambos`,
+    },
+    errors: {
+      length: `¡Longitud no válida! Debe tener 1-{max} caracteres.
+
+Escrito: <code>{text}</code> ({length} caracteres){restricted}`,
+      restricted: '\n\n🔒 Los patrones de {length} caracteres están restringidos en este bot.',
+      charset: `❌ ¡Carácter Base58 no válido en <code>{text}</code>!
+
+<b>No se puede usar:</b>
+0 (cero), O (mayúscula), I (mayúscula), l (L minúscula)
+
+<b>Se puede usar:</b>
+i minúscula, L mayúscula, todos los números excepto 0, el resto de letras`,
+      format: `❌ ¡Formato no válido!
+
+Usa PREFIJO..SUFIJO, p. ej. AB..CD`,
+      count: `❌ ¡Número de patrones no válido!
+
+Escribe 2-{alternatives} patrones separados por comas (recibidos: {count})`,
+      exclude: `❌ ¡Lista de exclusión no válida!
+
+Excluye hasta {maxExclude} palabras separadas por comas de {minWord}-{maxWord} letras o dígitos, p. ej. <code>-x bad,word</code>`,
+      blocked: `🚫 ¡No se puede generar <code>{text}</code>!
+
+Contiene una palabra bloqueada o excluida, o imita una dirección conocida de Solana.`,
+    },
+    suggestion: '\n\n💡 ¿Quisiste decir <code>{suggestion}</code>?',
+    caseQuestion: `<b>Mayúsculas y minúsculas</b>
+
+¿<code>{pattern}</code> o <code>{lower}</code>?
+
+<b>Estimación</b>
+{estimates}
+⏱️ Tiempo límite: {limit}
+
+¿La búsqueda debe distinguir mayúsculas?`,
+    notAllowed: `🔒 <b>Los patrones de {length} caracteres no están permitidos</b> en este modo.
+
+Prueba /generate de nuevo`,
+    howMany: `<b>¿Cuántas wallets?</b>
+
+Búsqueda: <code>{pattern}</code>
+Mayúsculas: {case}{exclude}
+
+<i>Cada wallet adicional tarda más o menos lo mismo que la primera.</i>`,
+    excluding: '\nExcluyendo: <code>{words}</code>',
+    excludeQuestion: `<b>🚫 Excluir palabras</b>
+
+Envía palabras separadas por comas que la dirección no debe contener, p. ej. <code>scam,rug</code> - hasta {maxExclude} palabras de {minWord}-{maxWord} letras o dígitos.
+
+<i>Envía <code>-</code> para vaciar la lista.</i>`,
+  },
+
+  inline: {
+    invalid: '❌ Patrón no válido',
+    suggestion: '¿Quisiste decir {suggestion}?',
+    usage: '[tipo] patrón [-c] - p. ej. suffix abc -c',
+    result: `<b>📐 Estimación de dirección vanity</b>
+
+Tipo: <code>{type}</code>
+Patrón: <code>{pattern}</code>
+Mayúsculas: {case}
+
+{estimate}`,
+  },
+
+  deliveryChoice: {
+    text: `<b>Entrega de la clave</b>
+
+💬 <b>Mensaje</b> - clave privada como texto en este chat
+🔐 <b>Archivo cifrado</b> - ZIP protegido con contraseña con un keystore cifrado y un keypair para Solana CLI; la clave nunca aparece en el chat
+🪙 <b>Mint de token</b> - keypair para crear un token con esta dirección: archivo de keypair de Solana CLI y secreto base58
+🌱 <b>Frase semilla</b> - frase de recuperación de 12 o 24 palabras para importar en Phantom o Solflare; cada intento es ~{cost}× más lento{mnemonic}
+🧩 <b>Clave dividida</b> - sin confianza: envías una clave pública creada en tu dispositivo, encontramos un tweak y solo tú puedes calcular la clave privada{unavailable}`,
+    unavailable: ' <i>(no disponible en este bot)</i>',
+    mnemonicEstimate: '\n      <i>{estimate}</i>',
+    split: `<b>🧩 Modo de clave dividida</b>
+
+1. En tu propio dispositivo, en una copia del repositorio de Solvan:
+<code>node tools/split-key.js keygen</code>
+2. Guarda bien <code>base-keypair.json</code> y envíame la clave pública que se muestra.
+
+<i>⚠️ La clave final es un escalar ed25519 sin procesar: funciona con herramientas que aceptan claves expandidas, pero wallets basadas en semilla como Phantom no pueden importarla.</i>`,
+    splitPlaceholder: 'Clave pública base',
+    invalidKey: `❌ Clave pública no válida: {error}
+
+Envía la clave pública base58 que muestra <code>node tools/split-key.js keygen</code>`,
+    passphrase: `<b>🔐 Elige una frase de contraseña</b>
+
+Al menos {min} caracteres. La necesitarás para abrir el ZIP y el keystore.
+Tu mensaje se borra en cuanto se lee.
+
+<i>⚠️ Si la pierdes, pierdes la wallet: ¡no podemos recuperarla!</i>`,
+    passphrasePlaceholder: 'Escribe la frase de contraseña',
+    passphraseShort: '❌ ¡Frase de contraseña demasiado corta! Usa al menos {min} caracteres.',
+  },
+
+  queued: {
+    text: `⏳ <b>¡En cola para generar!</b>
+
+Tipo: <code>{type}</code>
+Búsqueda: <code>{pattern}</code>
+Mayúsculas: {case}{wallets}
+Entrega: {delivery}
+
+📊 Posición en la cola: #{position}
+{active}`,
+    wallets: '\nWallets: {count}',
+    active: { one: '⚙️ {count} generación en curso...', other: '⚙️ {count} generaciones en curso...' },
+    deliveryMessage: '💬 Mensaje',
+    deliveryEncrypted: '🔐 Archivo cifrado',
+    deliverySplit: '🧩 Clave dividida',
+    deliveryMint: '🪙 Keypair de mint de token',
+    deliveryMnemonic: '🌱 Frase semilla',
+  },
+
+  resume: {
+    waiting: `⏳ <b>Esperando a un worker</b>
+
+Tipo: <code>{type}</code>
+Búsqueda: <code>{pattern}</code>
+Mayúsculas: {case}{attempts}
+
+📊 Trabajos en espera: {waiting}`,
+    attempts: '\n🔢 Intentos hasta ahora: {attempts}',
+    notice: `♻️ <b>Tu generación se reanudó</b>
+
+Un reinicio la interrumpió - volvió a la cola y continúa desde {attempts} intentos.`,
+  },
+
+  cancel: {
+    none: '❌ ¡No hay ninguna generación activa!',
+    alert: '🛑 Cancelando...',
+    text: `<b>🛑 Cancelando...</b>
+
+Deteniendo la generación de tu wallet.`,
+  },
+
+  admin: {
+    unauthorized: `❌ <b>No autorizado</b>
+
+No tienes permiso para usar este comando.`,
+    queue: {
+      text: `<b>📋 Cola</b>{paused}
+
+🟢 Activos: {active}
+⏳ En espera: {waiting}
+
+{jobs}{more}
+
+/kill <code>jobId</code> para cancelar un trabajo`,
+      paused: ' <b>(en pausa)</b>',
+      empty: '<i>No hay trabajos</i>',
+      more: '\n<i>...y {count} más</i>',
+      user: 'usuario {id}',
+      api: 'api {name}',
+    },
+    kill: {
+      usage: 'Uso: <code>/kill jobId</code> (ver /queue)',
+      notFound: '❌ No hay ningún trabajo en curso o en espera <code>{jobId}</code>',
+      done: '🛑 Trabajo <code>{jobId}</code> cancelado - se ha avisado a su dueño.',
+    },
+    ban: {
+      usage: 'Uso: <code>/ban userId [motivo]</code>',
+      admin: '❌ No se puede bloquear a un administrador.',
+      done: '🚫 Usuario <code>{userId}</code> bloqueado.',
+      doneWithJob: '🚫 Usuario <code>{userId}</code> bloqueado y trabajo <code>{jobId}</code> cancelado.',
+    },
+    unban: {
+      usage: 'Uso: <code>/unban userId</code>',
+      done: '✅ Usuario <code>{userId}</code> desbloqueado.',
+      notBanned: 'El usuario <code>{userId}</code> no estaba bloqueado.',
+    },
+    broadcast: {
+      usage: 'Uso: <code>/broadcast texto</code> - se envía como texto plano a todos los usuarios',
+      started: '📢 Enviando... Te aviso cuando termine.',
+      done: `📢 <b>Difusión terminada</b>
+
+✅ Enviados: {sent}
+❌ Inalcanzables: {failed}`,
+    },
+    setlimit: {
+      current: `<b>⚙️ Límites</b>
+
+{limits}
+
+{usage}`,
+      updated: `✅ <b>Límites actualizados</b>
+
+{limits}`,
+      error: `❌ {error}
+
+{usage}`,
+      limits: `<b>Longitud</b>
+Máx.: {sensitive} con mayúsculas, {insensitive} sin distinguir
+{lengths}
+
+<b>Niveles</b>
+{tiers}`,
+      length: '{length}+ caracteres: {allow}, {timeout}',
+    },
+    pause: '⏸️ <b>Cola en pausa</b>\n\nLos trabajos en curso terminan, los nuevos esperan. /resume para continuar.',
+    resume: '▶️ <b>Cola reanudada</b>',
+    audit: `<b>📜 Registro de auditoría</b>
+
+{entries}`,
+    empty: '<i>Vacío</i>',
+    noData: '<i>Aún no hay datos</i>',
+    noMeasurements: '<i>Aún no hay mediciones</i>',
+    stats: {
+      text: `<b>📊 Analíticas</b>
+
+<b>Cola</b>: {active} activos, {waiting} en espera
+
+<b>Trabajos por día</b> (UTC)
+{days}
+
+<b>Histórico</b>: {jobs} trabajos
+✅ {success} · ❌ {failed} · 🛑 {cancelled} · ⏱️ {timeout}
+
+<b>Espera / ejecución</b> (media / p95, trabajos exitosos recientes, por longitud)
+{timings}
+
+<b>Patrones más buscados</b>
+{patterns}
+
+<b>Workers</b>
+{workers}`,
+      timing: '{length} {case} espera {waitAvg} / {waitP95} · ejecución {runAvg} / {runP95} (n={count})',
+      worker: '<code>{id}</code> {speed} claves/seg (hace {age})',
+    },
+    workers: {
+      text: `<b>🖥️ Workers</b> ({count} activos)
+
+{list}`,
+      line: `<code>{id}</code> {engine}, {threads} hilos × {concurrency} trabajos, {running} en curso
+⚡ {speed} claves/seg · longitud máx. {maxLength}{split} · activo {uptime}, visto hace {age}`,
+      split: ' · claves divididas',
+      none: 'No hay workers activos. Inicia uno con <code>node worker.js</code> o ejecuta el bot sin BOT_ONLY.',
+    },
+    clearqueue: {
+      done: {
+        one: `✅ <b>¡Cola vaciada!</b>
+
+{count} trabajo cancelado. Se ha avisado a sus usuarios.`,
+        other: `✅ <b>¡Cola vaciada!</b>
+
+{count} trabajos cancelados. Se ha avisado a sus usuarios.`,
+      },
+      error: `❌ <b>Error al vaciar la cola</b>
+
+<code>{error}</code>`,
+    },
+  },
+};
@@ -0,0 +1,659 @@
+// Russian
+
+export const messages = {
+  language: {
+    name: 'Русский',
+    title: '<b>🌐 Язык</b>\n\nСейчас: {current}',
+    auto: '🔄 Автоматически (язык Telegram)',
+    changed: '✅ Язык изменён на русский.',
+    reset: '✅ Язык снова берётся из настроек Telegram.',
+  },
+
+  error: 'Ошибка: <code>{error}</code>',
+
+  searchTypes: {
+    prefix: { label: 'Префикс', button: '📍 Префикс', placeholder: 'Введите префикс' },
+    suffix: { label: 'Суффикс', button: '🔚 Суффикс', placeholder: 'Введите суффикс' },
+    both: { label: 'Префикс + суффикс', button: '↔️ Префикс + суффикс', placeholder: 'Введите префикс..суффикс' },
+    contains: { label: 'Содержит', button: '🔍 Содержит', placeholder: 'Введите текст' },
+    multi: { label: 'Любой из', button: '🎲 Любой из нескольких', placeholder: 'Введите шаблоны' },
+  },
+
+  case: {
+    sensitive: '🔤 С учётом регистра',
+    insensitive: '🔡 Без учёта регистра',
+  },
+
+  buttons: {
+    generateNow: '🚀 Сгенерировать',
+    generateAgain: '🚀 Сгенерировать снова',
+    anotherOne: '🔄 Сгенерировать снова',
+    cancel: '❌ Отмена',
+    insensitiveFaster: '🔡 Без учёта регистра (быстрее)',
+    wallets: '👛 {count}',
+    deliverMessage: '💬 Сообщение',
+    deliverEncrypted: '🔐 Зашифрованный файл',
+    deliverSplit: '🧩 Разделённый ключ (без доверия)',
+    deliverMint: '🪙 Минт токена',
+    deliverMnemonic: '🌱 Сид-фраза · {words}',
+    exclude: '🚫 Исключить слова',
+    newer: '◀️ Новее',
+    older: 'Старше ▶️',
+  },
+
+  banned: {
+    alert: '🚫 Вы заблокированы в этом боте',
+    message: '🚫 Вы заблокированы в этом боте.',
+  },
+
+  estimate: {
+    attempts: '~{attempts} попыток',
+    withTime: '~{attempts} попыток, ~{duration} на текущем оборудовании',
+    usage: `<b>📐 Оценка</b>
+
+Использование: <code>/estimate [тип] шаблон</code>
+Типы: {types}
+
+<i>Пример: /estimate suffix END</i>`,
+    line: `{case}: {estimate}
+<i>С вероятностью 95% не дольше {likely}</i>`,
+    result: `<b>📐 Оценка</b>
+
+Тип: <code>{type}</code>
+Шаблон: <code>{pattern}</code>
+
+{lines}
+
+{speed}`,
+    speed: '⚡ Измеренная скорость: {speed} ключей/с',
+    noSpeed: '⚡ Скорость ещё не измерена',
+    mnemonic: '🌱 Сид-фраза: каждая попытка дороже в ~{cost} раз, времени уйдёт примерно в {cost} раз больше',
+  },
+
+  limits: {
+    resets: '\n\n⏱️ Сброс через {duration}',
+    jobsPerHour: {
+      one: `⏳ <b>Достигнут часовой лимит</b>
+
+Ваш тариф позволяет {count} генерацию в час.{resets}`,
+      few: `⏳ <b>Достигнут часовой лимит</b>
+
+Ваш тариф позволяет {count} генерации в час.{resets}`,
+      many: `⏳ <b>Достигнут часовой лимит</b>
+
+Ваш тариф позволяет {count} генераций в час.{resets}`,
+      other: `⏳ <b>Достигнут часовой лимит</b>
+
+Ваш тариф позволяет {count} генерации в час.{resets}`,
+    },
+    jobsPerDay: {
+      one: `⏳ <b>Достигнут дневной лимит</b>
+
+Ваш тариф позволяет {count} генерацию в день.{resets}`,
+      few: `⏳ <b>Достигнут дневной лимит</b>
+
+Ваш тариф позволяет {count} генерации в день.{resets}`,
+      many: `⏳ <b>Достигнут дневной лимит</b>
+
+Ваш тариф позволяет {count} генераций в день.{resets}`,
+      other: `⏳ <b>Достигнут дневной лимит</b>
+
+Ваш тариф позволяет {count} генерации в день.{resets}`,
+    },
+    cpuSecondsPerDay: `⏳ <b>Дневная квота CPU исчерпана</b>
+
+Ваш тариф позволяет {limit} процессорного времени в день.{resets}`,
+    maxExpectedAttempts: `🧮 <b>Слишком сложно для вашего тарифа</b>
+
+Нужно ~{used} попыток, ваш тариф позволяет до {limit}.
+Попробуйте шаблон короче, поиск без учёта регистра или меньше кошельков.`,
+  },
+
+  progress: {
+    text: `⚙️ <b>Генерация...</b>
+
+Тип: <code>{type}</code>
+Поиск: <code>{pattern}</code>
+Регистр: {case}
+
+🔢 Попыток: {attempts}
+⚡ Скорость: {speed} ключей/с{shards}
+{odds}{filtered}
+⏱️ Осталось: {eta}`,
+    found: '👛 Найдено: {found}/{total}',
+    chance: '🎲 Вероятность на данный момент: {chance}',
+    shards: ' ({count} шардов)',
+    filtered: '\n🛡️ Отфильтровано: {count}',
+  },
+
+  failure: {
+    cancelled: `<b>❌ Генерация отменена</b>
+
+Генерация вашего кошелька отменена.
+
+Попробуйте /generate ещё раз`,
+    failed: `<b>❌ Генерация не удалась</b>
+
+<code>{error}</code>
+
+Попробуйте /generate ещё раз`,
+  },
+
+  delivery: {
+    splitItem: `<b>Адрес</b>
+<code>{address}</code>
+<b>Tweak</b>
+<code>{tweak}</code>
+<code>node tools/split-key.js combine base-keypair.json {tweak} {address}</code>`,
+    split: `<b>🧩 Результат с разделённым ключом</b>
+
+{list}
+
+Выполните команду на устройстве, где лежит <code>base-keypair.json</code>, чтобы получить приватный ключ и проверить адрес.
+
+<i>🔐 Сам по себе tweak бесполезен - приватный ключ можете вычислить только вы.</i>`,
+    encrypted: {
+      one: `<b>🔐 Зашифрованный кошелёк</b>
+
+{addresses}
+
+Откройте ZIP своей парольной фразой (7-Zip, WinZip, WinRAR). Для каждого кошелька в нём есть:
+• <code>ADDRESS.json</code> - keypair для Solana CLI
+• <code>ADDRESS.keystore.json</code> - keystore scrypt + AES-GCM
+
+<i>🔐 Приватный ключ ни разу не появился в этом чате.</i>`,
+      other: `<b>🔐 Зашифрованные кошельки</b>
+
+{addresses}
+
+Откройте ZIP своей парольной фразой (7-Zip, WinZip, WinRAR). Для каждого кошелька в нём есть:
+• <code>ADDRESS.json</code> - keypair для Solana CLI
+• <code>ADDRESS.keystore.json</code> - keystore scrypt + AES-GCM
+
+<i>🔐 Приватный ключ ни разу не появился в этом чате.</i>`,
+    },
+    matchedPattern: '\n<b>Совпавший шаблон</b>\n<code>{pattern}</code>\n',
+    mint: `<b>🪙 Ключевая пара минта токена</b>
+
+<b>Адрес минта</b>
+<code>{address}</code>
+
+<b>Секретный ключ (base58)</b>
+<code>{privateKey}</code>
+
+Файл - ключевая пара Solana CLI. Создайте токен командой
+<code>spl-token create-token {address}.json</code>
+или соберите офлайн неподписанную транзакцию InitializeMint и подпишите её в другом месте:
+<code>node tools/mint.js init-tx {address}.json --payer ВАШ_КОШЕЛЁК</code>`,
+    mnemonicItem: `<b>Адрес</b>
+<code>{address}</code>
+{matched}
+<b>Фраза восстановления ({words})</b>
+<code>{mnemonic}</code>`,
+    mnemonicWords: {
+      one: '{count} слово',
+      few: '{count} слова',
+      many: '{count} слов',
+      other: '{count} слова',
+    },
+    mnemonic: `<b>🌱 Кошелёк с сид-фразой</b>
+
+{list}
+
+<b>Импорт в Phantom или Solflare</b>
+1. Выберите «Импортировать фразу восстановления»
+2. Введите слова по порядку
+3. Красивый адрес - первый аккаунт (путь <code>{path}</code>)
+
+<i>🔐 Кто знает эти слова, тот владеет кошельком - храните их в секрете!</i>`,
+    mnemonicFile: `<b>🌱 Кошельков с сид-фразой: {count}</b>
+
+{addresses}
+
+<i>🔐 Фразы восстановления (путь <code>{path}</code>) в файле - храните его в секрете!</i>`,
+    filtered: '\n\n🛡️ Совпадений отсеяно фильтрами безопасности: {count}',
+    single: `<b>🔑 Данные кошелька</b>
+
+<b>Публичный адрес</b>
+<code>{address}</code>
+{matched}
+<b>Приватный ключ</b>
+<code>{privateKey}</code>
+
+<b>Импорт в Phantom</b>
+1. Нажмите «Add Account»
+2. Выберите «Import Private Key»
+3. Вставьте приватный ключ выше
+
+<i>🔐 Храните его в секрете!</i>
+
+Хотите ещё?`,
+    batch: `<b>🔑 Кошельков: {count}</b>
+
+<i>Адрес, затем приватный ключ</i>
+
+{list}
+
+<i>🔐 Храните их в секрете!</i>`,
+    file: `<b>🔑 Кошельков: {count}</b>
+
+{addresses}
+
+<i>🔐 Приватные ключи в файле - храните его в секрете!</i>`,
+  },
+
+  start: {
+    text: `<b>🔑 Генератор красивых адресов Solana</b>
+
+Премиум-сервис генерации персональных адресов!
+
+<b>Очередь</b>
+🟢 В работе: {active}
+⏳ Ожидают: {waiting}
+
+<b>Ваша статистика</b>
+📊 Адресов: {addresses}
+📈 Генераций: {jobs}
+
+<b>Команды</b>
+/generate - Начать генерацию
+/info - Как это работает
+/estimate - Оценить шаблон
+/stats - Статистика
+/history - Ваши прошлые адреса
+/language - Сменить язык
+/about - О боте`,
+  },
+
+  generate: {
+    busy: `⚠️ <b>У вас уже идёт генерация!</b>
+
+Дождитесь, пока текущий кошелёк будет готов, прежде чем начинать новый.`,
+    busyShort: '⚠️ <b>У вас уже идёт генерация!</b>',
+    busyAlert: '⚠️ У вас уже идёт генерация!',
+    title: `<b>🎯 Генерация красивого адреса</b>
+
+Очередь: в работе {active}, ожидают {waiting}
+
+Что вы хотите найти?`,
+    titleShort: `<b>🎯 Генерация красивого адреса</b>
+
+Что вы хотите найти?`,
+    usage: `<b>🎯 Генерация одной командой</b>
+
+Использование: <code>/generate [тип] шаблон [-c] [-x слово,слово]</code>
+Типы: {types}
+<code>-c</code> / <code>--case</code> - с учётом регистра (по умолчанию без)
+<code>-x</code> / <code>--exclude</code> - пропускать адреса с этими словами
+
+<i>Примеры: /generate prefix SOL, /generate suffix abc -c, /generate both AB..CD</i>`,
+    noWorker: `⚠️ <b>Сейчас ни один воркер не может это выполнить</b>
+
+Попробуйте шаблон короче или другой способ получения.`,
+  },
+
+  info: {
+    columnLength: 'Длина',
+    columnInsensitive: 'Без рег.',
+    columnSensitive: 'С рег.',
+    chars: { one: '{count} символ', few: '{count} символа', many: '{count} символов', other: '{count} символа' },
+    text: `<b>Как работают красивые адреса</b>
+
+Персональный адрес, который начинается или заканчивается выбранным вами текстом.
+
+<b>⏱️ Примерное время генерации</b>
+
+<pre>{table}</pre>
+
+<b>💡 Советы</b>
+📍 <b>Поиск по префиксу</b> по умолчанию без учёта регистра
+🔚 <b>Поиск по суффиксу</b> работает в обоих режимах
+🔤 <b>С учётом регистра</b> дольше, но совпадает точно
+🔢 Префиксы, начинающиеся с <code>2</code>-<code>H</code>, найти в ~60 раз проще, чем с другими первыми символами
+📐 /estimate <code>[тип] шаблон</code> - точная оценка для вашего шаблона
+
+<b>🔐 Безопасность</b>
+✅ 100% локальная генерация
+✅ Ключи и ваши сообщения никогда не записываются в логи
+✅ Можно пользоваться сразу`,
+  },
+
+  stats: {
+    unlimited: 'без ограничений',
+    remaining: '{left} из {limit}',
+    text: `<b> Ваша статистика</b>
+
+Сгенерировано адресов: <code>{addresses}</code>
+Генераций: <code>{jobs}</code> (✅ {success} · ❌ {failed} · 🛑 {cancelled} · ⏱️ {timeout})
+/history - ваши адреса
+
+<b>Ваша квота</b> (тариф {tier})
+В этот час: осталось генераций: {hour}
+Сегодня: осталось генераций: {day}
+CPU сегодня: осталось {cpu}
+Сброс: каждый час и ежедневно в 00:00 UTC
+
+<b>Состояние системы</b>
+Генераций в работе: {active}
+В очереди: {waiting}
+Адресов сгенерировано всеми: {total}
+
+/generate - создать ещё!`,
+  },
+
+  history: {
+    empty: '<b>📜 Ваша история</b>\n\nПока пусто - /generate свой первый адрес!',
+    title: `<b>📜 Ваша история</b> (страница {page}/{pages})
+
+{list}`,
+    entry: '{type} <code>{pattern}</code> {case}{wallets} · попыток: {attempts} · {duration}',
+    outcomes: {
+      success: '✅',
+      failed: '❌ ошибка',
+      cancelled: '🛑 отменено',
+      timeout: '⏱️ время вышло',
+    },
+  },
+
+  about: {
+    text: `<b> О Solvan</b>
+
+<b>Генератор красивых адресов Solana</b>
+
+Проект с открытым исходным кодом для генерации персональных адресов Solana
+
+<b>Создайте своего бота</b>
+<code>https://github.com/whale-professor/Solvan</code>
+
+<b>Возможности</b>
+✨ Генерация по префиксу и суффиксу
+🔐 100% локальная и безопасная генерация
+📊 Статистика
+⚡ Быстрая обработка через очередь
+
+<b>Связь и поддержка</b>
+Telegram: @WhaleProfessor
+GitHub Issues: сообщайте об ошибках
+
+Сделано с ❤️ для сообщества Solana`,
+  },
+
+  pattern: {
+    mode: `<b>Режим «{label}»</b>
+
+{hint}
+
+<i>Пример: {example}</i>`,
+    hints: {
+      prefix: 'Введите нужный префикс (1-{max} символов)',
+      suffix: 'Введите нужный суффикс (1-{max} символов)',
+      both: 'Введите <code>ПРЕФИКС..СУФФИКС</code> (всего 1-{max} символов)',
+      contains: 'Введите текст, который должен быть где угодно в адресе (1-{max} символов)',
+      multi: `Введите 2-{alternatives} шаблона через запятую - побеждает первый адрес, совпавший с любым из них.
+Просто текст - префикс, <code>..END</code> - суффикс, <code>AB..CD</code> - и то и другое`,
+    },
+    errors: {
+      length: `Неверная длина! Нужно 1-{max} символов.
+
+Введено: <code>{text}</code> (символов: {length}){restricted}`,
+      restricted: '\n\n🔒 Шаблоны из {length} символов в этом боте ограничены.',
+      charset: `❌ Недопустимый символ Base58 в <code>{text}</code>!
+
+<b>Нельзя использовать:</b>
+0 (ноль), O (заглавная), I (заглавная), l (строчная L)
+
+<b>Можно использовать:</b>
+строчную i, заглавную L, все цифры кроме 0, все остальные буквы`,
+      format: `❌ Неверный формат!
+
+Используйте ПРЕФИКС..СУФФИКС, например AB..CD`,
+      count: `❌ Неверное количество шаблонов!
+
+Введите 2-{alternatives} шаблона через запятую (получено: {count})`,
+      exclude: `❌ Неверный список исключений!
+
+Исключите до {maxExclude} слов через запятую, по {minWord}-{maxWord} букв или цифр, например <code>-x bad,word</code>`,
+      blocked: `🚫 <code>{text}</code> нельзя сгенерировать!
+
+Шаблон содержит заблокированное или исключённое слово либо имитирует известный адрес Solana.`,
+    },
+    suggestion: '\n\n💡 Возможно, вы имели в виду <code>{suggestion}</code>?',
+    caseQuestion: `<b>Регистр</b>
+
+<code>{pattern}</code> или <code>{lower}</code>?
+
+<b>Ожидается</b>
+{estimates}
+⏱️ Ограничение времени: {limit}
+
+Учитывать регистр при поиске?`,
+    notAllowed: `🔒 <b>Шаблоны из {length} символов недоступны</b> в этом режиме регистра.
+
+Попробуйте /generate ещё раз`,
+    howMany: `<b>Сколько кошельков?</b>
+
+Поиск: <code>{pattern}</code>
+Регистр: {case}{exclude}
+
+<i>Каждый дополнительный кошелёк занимает примерно столько же времени, сколько первый.</i>`,
+    excluding: '\nИсключено: <code>{words}</code>',
+    excludeQuestion: `<b>🚫 Исключить слова</b>
+
+Отправьте через запятую слова, которых не должно быть в адресе, например <code>scam,rug</code> - до {maxExclude} слов по {minWord}-{maxWord} букв или цифр.
+
+<i>Отправьте <code>-</code>, чтобы очистить список.</i>`,
+  },
+
+  inline: {
+    invalid: '❌ Неверный шаблон',
+    suggestion: 'Возможно, вы имели в виду {suggestion}?',
+    usage: '[тип] шаблон [-c] - например suffix abc -c',
+    result: `<b>📐 Оценка красивого адреса</b>
+
+Тип: <code>{type}</code>
+Шаблон: <code>{pattern}</code>
+Регистр: {case}
+
+{estimate}`,
+  },
+
+  deliveryChoice: {
+    text: `<b>Доставка ключа</b>
+
+💬 <b>Сообщение</b> - приватный ключ текстом в этом чате
+🔐 <b>Зашифрованный файл</b> - ZIP с паролем, внутри зашифрованный keystore и keypair для Solana CLI; ключ не появляется в чате
+🪙 <b>Минт токена</b> - ключевая пара для создания токена с этим адресом: файл ключей Solana CLI и секрет в base58
+🌱 <b>Сид-фраза</b> - фраза восстановления из 12 или 24 слов для импорта в Phantom или Solflare; каждая попытка в ~{cost} раз медленнее{mnemonic}
+🧩 <b>Разделённый ключ</b> - без доверия: вы присылаете публичный ключ, созданный на своём устройстве, мы находим tweak, и только вы можете вычислить приватный ключ{unavailable}`,
+    unavailable: ' <i>(недоступно в этом боте)</i>',
+    mnemonicEstimate: '\n      <i>{estimate}</i>',
+    split: `<b>🧩 Режим разделённого ключа</b>
+
+1. На своём устройстве, в копии репозитория Solvan:
+<code>node tools/split-key.js keygen</code>
+2. Сохраните <code>base-keypair.json</code> в надёжном месте и пришлите мне выведенный публичный ключ.
+
+<i>⚠️ Итоговый ключ - это «сырой» скаляр ed25519: он работает с инструментами, принимающими расширенные ключи, но кошельки на основе seed, такие как Phantom, не могут его импортировать.</i>`,
+    splitPlaceholder: 'Базовый публичный ключ',
+    invalidKey: `❌ Неверный публичный ключ: {error}
+
+Пришлите публичный ключ base58, выведенный <code>node tools/split-key.js keygen</code>`,
+    passphrase: `<b>🔐 Придумайте парольную фразу</b>
+
+Не меньше {min} символов. Она понадобится, чтобы открыть ZIP и keystore.
+Ваше сообщение удаляется сразу после прочтения.
+
+<i>⚠️ Потеряете её - потеряете кошелёк, восстановить его мы не сможем!</i>`,
+    passphrasePlaceholder: 'Введите парольную фразу',
+    passphraseShort: '❌ Парольная фраза слишком короткая! Нужно не меньше {min} символов.',
+  },
+
+  queued: {
+    text: `⏳ <b>Добавлено в очередь!</b>
+
+Тип: <code>{type}</code>
+Поиск: <code>{pattern}</code>
+Регистр: {case}{wallets}
+Доставка: {delivery}
+
+📊 Место в очереди: #{position}
+{active}`,
+    wallets: '\nКошельков: {count}',
+    active: {
+      one: '⚙️ {count} генерация в работе...',
+      few: '⚙️ {count} генерации в работе...',
+      many: '⚙️ {count} генераций в работе...',
+      other: '⚙️ {count} генерации в работе...',
+    },
+    deliveryMessage: '💬 Сообщение',
+    deliveryEncrypted: '🔐 Зашифрованный файл',
+    deliverySplit: '🧩 Разделённый ключ',
+    deliveryMint: '🪙 Ключи минта токена',
+    deliveryMnemonic: '🌱 Сид-фраза',
+  },
+
+  resume: {
+    waiting: `⏳ <b>Ожидание воркера</b>
+
+Тип: <code>{type}</code>
+Поиск: <code>{pattern}</code>
+Регистр: {case}{attempts}
+
+📊 Задач в очереди: {waiting}`,
+    attempts: '\n🔢 Попыток сделано: {attempts}',
+    notice: `♻️ <b>Генерация возобновлена</b>
+
+Её прервал перезапуск - она вернулась в очередь и продолжится с {attempts} попыток.`,
+  },
+
+  cancel: {
+    none: '❌ Активная генерация не найдена!',
+    alert: '🛑 Отмена...',
+    text: `<b>🛑 Отмена...</b>
+
+Останавливаем генерацию вашего кошелька.`,
+  },
+
+  admin: {
+    unauthorized: `❌ <b>Нет доступа</b>
+
+У вас нет прав на эту команду.`,
+    queue: {
+      text: `<b>📋 Очередь</b>{paused}
+
+🟢 В работе: {active}
+⏳ Ожидают: {waiting}
+
+{jobs}{more}
+
+/kill <code>jobId</code> - отменить задачу`,
+      paused: ' <b>(на паузе)</b>',
+      empty: '<i>Задач нет</i>',
+      more: '\n<i>...и ещё {count}</i>',
+      user: 'пользователь {id}',
+      api: 'api {name}',
+    },
+    kill: {
+      usage: 'Использование: <code>/kill jobId</code> (см. /queue)',
+      notFound: '❌ Нет выполняемой или ожидающей задачи <code>{jobId}</code>',
+      done: '🛑 Задача <code>{jobId}</code> отменена - владелец уведомлён.',
+    },
+    ban: {
+      usage: 'Использование: <code>/ban userId [причина]</code>',
+      admin: '❌ Администратора нельзя заблокировать.',
+      done: '🚫 Пользователь <code>{userId}</code> заблокирован.',
+      doneWithJob: '🚫 Пользователь <code>{userId}</code> заблокирован, задача <code>{jobId}</code> отменена.',
+    },
+    unban: {
+      usage: 'Использование: <code>/unban userId</code>',
+      done: '✅ Пользователь <code>{userId}</code> разблокирован.',
+      notBanned: 'Пользователь <code>{userId}</code> не был заблокирован.',
+    },
+    broadcast: {
+      usage: 'Использование: <code>/broadcast текст</code> - отправляется всем пользователям как обычный текст',
+      started: '📢 Рассылка идёт... Сообщу, когда закончится.',
+      done: `📢 <b>Рассылка завершена</b>
+
+✅ Отправлено: {sent}
+❌ Недоступны: {failed}`,
+    },
+    setlimit: {
+      current: `<b>⚙️ Лимиты</b>
+
+{limits}
+
+{usage}`,
+      updated: `✅ <b>Лимиты обновлены</b>
+
+{limits}`,
+      error: `❌ {error}
+
+{usage}`,
+      limits: `<b>Длина</b>
+Макс.: {sensitive} с учётом регистра, {insensitive} без учёта
+{lengths}
+
+<b>Уровни</b>
+{tiers}`,
+      length: '{length}+ символов: {allow}, {timeout}',
+    },
+    pause: '⏸️ <b>Очередь на паузе</b>\n\nТекущие задачи завершатся, новые ждут. /resume - продолжить.',
+    resume: '▶️ <b>Очередь возобновлена</b>',
+    audit: `<b>📜 Журнал действий</b>
+
+{entries}`,
+    empty: '<i>Пусто</i>',
+    noData: '<i>Данных пока нет</i>',
+    noMeasurements: '<i>Измерений пока нет</i>',
+    stats: {
+      text: `<b>📊 Аналитика</b>
+
+<b>Очередь</b>: {active} в работе, {waiting} ожидают
+
+<b>Задачи по дням</b> (UTC)
+{days}
+
+<b>За всё время</b>: {jobs} задач
+✅ {success} · ❌ {failed} · 🛑 {cancelled} · ⏱️ {timeout}
+
+<b>Ожидание / выполнение</b> (среднее / p95, недавние успешные задачи, по длине)
+{timings}
+
+<b>Популярные шаблоны</b>
+{patterns}
+
+<b>Воркеры</b>
+{workers}`,
+      timing: '{length} {case} ожидание {waitAvg} / {waitP95} · выполнение {runAvg} / {runP95} (n={count})',
+      worker: '<code>{id}</code> {speed} ключей/сек ({age} назад)',
+    },
+    workers: {
+      text: `<b>🖥️ Воркеры</b> (активных: {count})
+
+{list}`,
+      line: `<code>{id}</code> {engine}, {threads} потоков × {concurrency} задач, выполняется {running}
+⚡ {speed} ключей/сек · макс. длина {maxLength}{split} · работает {uptime}, на связи {age} назад`,
+      split: ' · разделённые ключи',
+      none: 'Активных воркеров нет. Запустите <code>node worker.js</code> или бота без BOT_ONLY.',
+    },
+    clearqueue: {
+      done: {
+        one: `✅ <b>Очередь очищена!</b>
+
+Отменена {count} задача. Пользователи уведомлены.`,
+        few: `✅ <b>Очередь очищена!</b>
+
+Отменено {count} задачи. Пользователи уведомлены.`,
+        many: `✅ <b>Очередь очищена!</b>
+
+Отменено {count} задач. Пользователи уведомлены.`,
+        other: `✅ <b>Очередь очищена!</b>
+
+Отменено {count} задачи. Пользователи уведомлены.`,
+      },
+      error: `❌ <b>Ошибка при очистке очереди</b>
+
+<code>{error}</code>`,
+    },
+  },
+};
@@ -0,0 +1,70 @@
+// Structured logging - one JSON object per line (debug/info on stdout, warn/error on stderr)
+//
+// LOG_LEVEL picks the lowest level written: debug, info (default), warn or error.
+// child() adds correlation fields (updateId, userId, jobId...) to every line.
+// Everything is redacted before it is written: base58/hex strings too long to be
+// an address, arrays of 32+ bytes, bot tokens and fields named like secrets, so
+// a private key can't reach the logs even if a generator prints one.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export const REDACTED = '[REDACTED]';
+
+// Addresses are 32-44 base58 characters; a secret key is 87-88
+const BASE58_SECRET = /[1-9A-HJ-NP-Za-km-z]{60,}/g;
+const HEX_SECRET = /[0-9a-fA-F]{64,}/g;
+const BYTE_ARRAY = /\[\s*(?:\d{1,3}\s*,\s*){31,}\d{1,3}\s*\]/g;
+const BOT_TOKEN = /\d{6,}:[A-Za-z0-9_-]{30,}/g;
+const SECRET_FIELDS = /private|secret|passphrase|password|token|seed|mnemonic/i;
+
+function redactString(text) {
+  return text
+    .replace(BYTE_ARRAY, REDACTED)
+    .replace(BOT_TOKEN, REDACTED)
+    .replace(BASE58_SECRET, REDACTED)
+    .replace(HEX_SECRET, REDACTED);
+}
+
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 5) return '[Object]';
+
+  if (value instanceof Error) {
+    return { message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+  if (ArrayBuffer.isView(value) || (Array.isArray(value) && value.length >= 32 && value.every(Number.isInteger))) {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, SECRET_FIELDS.test(key) ? REDACTED : redact(item, depth + 1)])
+  );
+}
+
+// Read on every call - the entrypoints load .env after the modules are imported
+function threshold() {
+  return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+}
+
+function write(level, context, message, fields) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = redact({ time: new Date().toISOString(), level, msg: message, ...context, ...fields });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// context: fields added to every line, e.g. { jobId }
+export function createLogger(context = {}) {
+  return {
+    debug: (message, fields) => write('debug', context, message, fields),
+    info: (message, fields) => write('info', context, message, fields),
+    warn: (message, fields) => write('warn', context, message, fields),
+    error: (message, fields) => write('error', context, message, fields),
+    child: (fields) => createLogger({ ...context, ...fields }),
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,142 @@
+// Token mint keypairs - a vanity keypair used as the mint account of a new SPL token
+// (like the "...pump" mints of token launchpads). Delivered as a Solana CLI keypair
+// file plus the base58 secret; buildInitializeMintTransaction() makes the unsigned
+// transaction that creates and initializes the mint, without any network access.
+
+import { ed25519 } from '@noble/curves/ed25519';
+import { decode, encode } from './base58.js';
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const RENT_SYSVAR_ID = 'SysvarRent111111111111111111111111111111111';
+
+export const MINT_SIZE = 82;
+// Rent-exempt minimum for MINT_SIZE bytes at the cluster default rent
+// ((82 + 128 bytes of account overhead) × 3480 lamports/byte-year × 2 years)
+export const MINT_RENT_LAMPORTS = 1461600;
+export const DEFAULT_DECIMALS = 9;
+// All zeros - a placeholder the signing tool replaces with a recent blockhash
+export const PLACEHOLDER_BLOCKHASH = SYSTEM_PROGRAM_ID;
+
+const CREATE_ACCOUNT = 0;
+const INITIALIZE_MINT = 0;
+
+function publicKeyBytes(address, name = 'public key') {
+  let bytes;
+  try {
+    bytes = decode(address.trim());
+  } catch {
+    throw new Error(`Invalid ${name}: not base58`);
+  }
+  if (bytes.length !== 32) throw new Error(`Invalid ${name}: must be 32 bytes`);
+  return Buffer.from(bytes);
+}
+
+// Keypair addresses are ed25519 points; program-derived addresses are deliberately off the curve
+export function isOnCurve(address) {
+  try {
+    ed25519.Point.fromHex(publicKeyBytes(address));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Throws unless secretKey (64 bytes: seed || public key) is the keypair of the on-curve address
+export function checkMintKeypair(secretKey, address) {
+  const bytes = Buffer.from(secretKey);
+  if (bytes.length !== 64) throw new Error('A keypair is 64 bytes');
+  if (!isOnCurve(address)) throw new Error(`${address} is not on the ed25519 curve`);
+
+  const publicKey = encode(ed25519.getPublicKey(bytes.subarray(0, 32)));
+  if (publicKey !== address || encode(bytes.subarray(32)) !== address) {
+    throw new Error(`Keypair doesn't belong to ${address}`);
+  }
+}
+
+// Solana's compact-u16 length prefix
+function compactLength(n) {
+  const bytes = [];
+  do {
+    let byte = n & 0x7f;
+    n >>= 7;
+    if (n) byte |= 0x80;
+    bytes.push(byte);
+  } while (n);
+  return Buffer.from(bytes);
+}
+
+function u64(n) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(n));
+  return buffer;
+}
+
+function instruction(programIndex, accountIndexes, data) {
+  return Buffer.concat([
+    Buffer.from([programIndex]),
+    compactLength(accountIndexes.length),
+    Buffer.from(accountIndexes),
+    compactLength(data.length),
+    data,
+  ]);
+}
+
+// Unsigned legacy transaction: SystemProgram.CreateAccount (payer funds the mint account,
+// owned by the token program) + Token InitializeMint. Needs the signatures of the payer
+// and the mint keypair. Returns { transaction (base64), signers }.
+export function buildInitializeMintTransaction({
+  mint,
+  payer,
+  decimals = DEFAULT_DECIMALS,
+  mintAuthority = payer,
+  freezeAuthority = null,
+  blockhash = PLACEHOLDER_BLOCKHASH,
+}) {
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) throw new Error('Decimals must be 0-255');
+  if (!isOnCurve(mint)) throw new Error('The mint must be a keypair address (on the ed25519 curve)');
+  if (mint === payer) throw new Error('The payer and the mint must be different accounts');
+
+  // Writable signers, then read-only non-signers - in the order @solana/web3.js compiles them
+  const accounts = [
+    publicKeyBytes(payer, 'payer'),
+    publicKeyBytes(mint, 'mint'),
+    publicKeyBytes(SYSTEM_PROGRAM_ID),
+    publicKeyBytes(RENT_SYSVAR_ID),
+    publicKeyBytes(TOKEN_PROGRAM_ID),
+  ];
+  const header = Buffer.from([2, 0, 3]);
+
+  const createAccount = Buffer.alloc(4);
+  createAccount.writeUInt32LE(CREATE_ACCOUNT);
+
+  // Program and account indexes refer to `accounts`
+  const instructions = [
+    // System: CreateAccount(lamports, space, owner) from payer to mint
+    instruction(2, [0, 1], Buffer.concat([createAccount, u64(MINT_RENT_LAMPORTS), u64(MINT_SIZE), accounts[4]])),
+    // Token: InitializeMint(decimals, mint authority, freeze authority) on mint, with the rent sysvar
+    instruction(4, [1, 3], Buffer.concat([
+      Buffer.from([INITIALIZE_MINT, decimals]),
+      publicKeyBytes(mintAuthority, 'mint authority'),
+      // Option<Pubkey> as the token program unpacks it: 0, or 1 and the key
+      freezeAuthority ? Buffer.concat([Buffer.from([1]), publicKeyBytes(freezeAuthority, 'freeze authority')]) : Buffer.from([0]),
+    ])),
+  ];
+
+  const message = Buffer.concat([
+    header,
+    compactLength(accounts.length),
+    ...accounts,
+    publicKeyBytes(blockhash, 'blockhash'),
+    compactLength(instructions.length),
+    ...instructions,
+  ]);
+
+  // Empty signature slots for the payer and the mint
+  const signatures = Buffer.concat([compactLength(2), Buffer.alloc(64 * 2)]);
+
+  return {
+    transaction: Buffer.concat([signatures, message]).toString('base64'),
+    signers: [payer, mint],
+  };
+}
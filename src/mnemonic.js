@@ -0,0 +1,57 @@
+// Seed-phrase vanity wallets - the address is derived from a 12 or 24-word BIP39
+// mnemonic the way Phantom and Solflare import one: the BIP39 seed (PBKDF2-HMAC-SHA512,
+// 2048 rounds, no passphrase), then SLIP-0010 ed25519 derivation along m/44'/501'/0'/0'.
+//
+// Every attempt runs the whole derivation, so a seed-phrase search is far slower than
+// a plain keypair search (see MNEMONIC_ATTEMPT_COST in difficulty.js).
+
+import crypto from 'crypto';
+import { generateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+
+export const DERIVATION_PATH = "m/44'/501'/0'/0'";
+export const MNEMONIC_WORDS = [12, 24];
+
+const PBKDF2_ROUNDS = 2048;
+const HARDENED_OFFSET = 0x80000000;
+// DER headers around the raw 32-byte ed25519 seed / public key
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const SPKI_PREFIX_LENGTH = 12;
+
+export function isMnemonicWords(words) {
+  return MNEMONIC_WORDS.includes(words);
+}
+
+// 128 bits of entropy for 12 words, 256 for 24
+export function randomMnemonic(words) {
+  return generateMnemonic(wordlist, (words / 3) * 32);
+}
+
+// BIP39 seed of the NFKD-normalized phrase, with the empty passphrase wallets use
+function mnemonicSeed(mnemonic) {
+  return crypto.pbkdf2Sync(mnemonic.normalize('NFKD'), 'mnemonic', PBKDF2_ROUNDS, 64, 'sha512');
+}
+
+// SLIP-0010 private key at `path` - ed25519 only has hardened children
+export function derivePrivateKey(seed, path = DERIVATION_PATH) {
+  let node = crypto.createHmac('sha512', 'ed25519 seed').update(seed).digest();
+
+  for (const segment of path.split('/').slice(1)) {
+    if (!/^\d+'$/.test(segment)) throw new Error(`Only hardened derivation paths work with ed25519: ${path}`);
+
+    const data = Buffer.alloc(37);
+    node.copy(data, 1, 0, 32);
+    data.writeUInt32BE(parseInt(segment) + HARDENED_OFFSET, 33);
+    node = crypto.createHmac('sha512', node.subarray(32)).update(data).digest();
+  }
+  return node.subarray(0, 32);
+}
+
+// The wallet of a phrase: { publicKey, secretKey (64 bytes: seed || public key) }
+export function mnemonicKeypair(mnemonic, path = DERIVATION_PATH) {
+  const seed = derivePrivateKey(mnemonicSeed(mnemonic), path);
+  const privateKey = crypto.createPrivateKey({ key: Buffer.concat([PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8' });
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).subarray(SPKI_PREFIX_LENGTH);
+
+  return { publicKey, secretKey: Buffer.concat([seed, publicKey]) };
+}
@@ -0,0 +1,148 @@
+// Vanity pattern modes, parsing/validation and address matching
+//
+// Every mode is parsed into a list of alternatives { prefix, suffix, contains };
+// an address matches an alternative when all its non-empty parts match.
+//
+//   prefix    SUN          -> starts with SUN
+//   suffix    END          -> ends with END
+//   both      SUN..END     -> starts with SUN and ends with END
+//   contains  SUB          -> SUB anywhere in the address
+//   multi     SUN, ..END, AB..CD   -> first address matching any of them
+
+import { isBase58 } from './base58.js';
+
+// Labels and buttons are in the bot's message catalogs (searchTypes.<mode>)
+export const SEARCH_TYPES = {
+  prefix: { example: 'SOL, STAR, 123' },
+  suffix: { example: 'SOL, STAR, 123' },
+  both: { example: 'AB..CD, SO..ND' },
+  contains: { example: 'SUN, MEME' },
+  multi: { example: 'SUN, MEW, ..END' },
+};
+
+// Hard upper bound - the actual limits come from the length policy (src/policy.js)
+export const MAX_PATTERN_LENGTH = 12;
+export const MAX_ALTERNATIVES = 5;
+const SEPARATOR = '..';
+
+export class PatternError extends Error {
+  constructor(reason, message, details = {}) {
+    super(message);
+    this.name = 'PatternError';
+    this.reason = reason; // 'format' | 'length' | 'charset' | 'count'
+    this.details = details;
+  }
+}
+
+function parseAlternative(searchType, text) {
+  switch (searchType) {
+    case 'prefix':
+      return { prefix: text, suffix: '', contains: '' };
+    case 'suffix':
+      return { prefix: '', suffix: text, contains: '' };
+    case 'contains':
+      return { prefix: '', suffix: '', contains: text };
+    case 'both': {
+      const parts = text.split(SEPARATOR);
+      if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        throw new PatternError('format', `Use PREFIX${SEPARATOR}SUFFIX, e.g. AB${SEPARATOR}CD`, { text });
+      }
+      return { prefix: parts[0], suffix: parts[1], contains: '' };
+    }
+    default:
+      throw new PatternError('format', `Unknown search type: ${searchType}`);
+  }
+}
+
+// Alternatives in multi mode: SUN (prefix), ..END (suffix), SUN..END (both)
+function parseMultiItem(text) {
+  if (!text.includes(SEPARATOR)) return parseAlternative('prefix', text);
+  if (text.startsWith(SEPARATOR)) return parseAlternative('suffix', text.slice(SEPARATOR.length));
+  return parseAlternative('both', text);
+}
+
+export function patternLength({ prefix, suffix, contains }) {
+  return prefix.length + suffix.length + contains.length;
+}
+
+export function parsePattern(searchType, input, maxLength = MAX_PATTERN_LENGTH) {
+  const text = input.trim();
+
+  const alternatives = searchType === 'multi'
+    ? text.split(',').map((t) => t.trim()).filter(Boolean).map(parseMultiItem)
+    : [parseAlternative(searchType, text)];
+
+  if (searchType === 'multi' && (alternatives.length < 2 || alternatives.length > MAX_ALTERNATIVES)) {
+    throw new PatternError('count', `Enter 2-${MAX_ALTERNATIVES} patterns separated by commas`, {
+      count: alternatives.length,
+    });
+  }
+
+  for (const alt of alternatives) {
+    const chars = alt.prefix + alt.suffix + alt.contains;
+    const length = patternLength(alt);
+
+    if (length < 1 || length > maxLength) {
+      throw new PatternError('length', `Must be 1-${maxLength} characters`, {
+        text: describeAlternative(alt),
+        length,
+        maxLength,
+      });
+    }
+    if (!isBase58(chars)) {
+      throw new PatternError('charset', 'Invalid Base58 character', { text: describeAlternative(alt) });
+    }
+  }
+
+  return alternatives;
+}
+
+// Look-alikes for the characters Base58 leaves out
+const SUBSTITUTIONS = { 0: 'o', O: 'o', l: 'L', I: 'i' };
+
+// The pattern with look-alike characters swapped in (SOL0 -> SOLo), or null when
+// that doesn't make it valid
+export function suggestPattern(searchType, input, maxLength = MAX_PATTERN_LENGTH) {
+  const suggestion = input.trim().replace(/[0OlI]/g, (char) => SUBSTITUTIONS[char]);
+  if (suggestion === input.trim()) return null;
+
+  try {
+    parsePattern(searchType, suggestion, maxLength);
+    return suggestion;
+  } catch (err) {
+    if (err instanceof PatternError) return null;
+    throw err;
+  }
+}
+
+export function describeAlternative({ prefix, suffix, contains }) {
+  if (contains) return `*${contains}*`;
+  if (prefix && suffix) return `${prefix}${SEPARATOR}${suffix}`;
+  if (suffix) return `${SEPARATOR}${suffix}`;
+  return prefix;
+}
+
+// Returns (address) => matched alternative or null
+export function createMatcher(alternatives, caseSensitive) {
+  const fold = caseSensitive ? (s) => s : (s) => s.toLowerCase();
+  const targets = alternatives.map((alt) => ({
+    alt,
+    prefix: fold(alt.prefix),
+    suffix: fold(alt.suffix),
+    contains: fold(alt.contains),
+  }));
+
+  return (address) => {
+    const candidate = fold(address);
+    for (const t of targets) {
+      if (
+        candidate.startsWith(t.prefix) &&
+        candidate.endsWith(t.suffix) &&
+        candidate.includes(t.contains)
+      ) {
+        return t.alt;
+      }
+    }
+    return null;
+  };
+}
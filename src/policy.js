@@ -0,0 +1,63 @@
+// Pattern length policy - how long a pattern may be, who may request it and
+// how long its job may run
+//
+// MAX_LENGTH_SENSITIVE / MAX_LENGTH_INSENSITIVE cap the length per case mode.
+// LENGTH_POLICIES (JSON) maps a length to { allow, timeoutMinutes }, where
+// allow is "all", "admins" or a list of user ids. A length without an entry
+// uses the entry of the nearest shorter length.
+
+import { patternLength } from './patterns.js';
+
+export const DEFAULT_TIMEOUT_MINUTES = 10;
+
+const DEFAULT_LENGTH_POLICIES = {
+  1: { allow: 'all', timeoutMinutes: DEFAULT_TIMEOUT_MINUTES },
+  5: { allow: 'admins', timeoutMinutes: 360 },
+  6: { allow: 'admins', timeoutMinutes: 1440 },
+};
+
+export function loadLengthPolicy(env = process.env) {
+  return {
+    maxLength: {
+      sensitive: parseInt(env.MAX_LENGTH_SENSITIVE) || 5,
+      insensitive: parseInt(env.MAX_LENGTH_INSENSITIVE) || 6,
+    },
+    lengths: env.LENGTH_POLICIES ? JSON.parse(env.LENGTH_POLICIES) : DEFAULT_LENGTH_POLICIES,
+  };
+}
+
+// Longest alternative decides the policy
+export function alternativesLength(alternatives) {
+  return Math.max(...alternatives.map(patternLength));
+}
+
+export function maxLengthFor(policy, caseSensitive) {
+  return caseSensitive ? policy.maxLength.sensitive : policy.maxLength.insensitive;
+}
+
+export function policyForLength(policy, length) {
+  const defined = Object.keys(policy.lengths)
+    .map(Number)
+    .filter((n) => n <= length)
+    .sort((a, b) => b - a);
+
+  const rule = defined.length ? policy.lengths[defined[0]] : {};
+  return {
+    allow: rule.allow ?? 'all',
+    timeoutMs: (rule.timeoutMinutes ?? DEFAULT_TIMEOUT_MINUTES) * 60000,
+  };
+}
+
+export function isLengthAllowed(policy, length, userId, isAdmin) {
+  const { allow } = policyForLength(policy, length);
+  if (isAdmin || allow === 'all') return true;
+  return Array.isArray(allow) && allow.map(Number).includes(userId);
+}
+
+// Longest pattern this user may request (in whichever case mode allows more)
+export function userMaxLength(policy, userId, isAdmin) {
+  let length = 0;
+  const cap = Math.max(policy.maxLength.sensitive, policy.maxLength.insensitive);
+  while (length < cap && isLengthAllowed(policy, length + 1, userId, isAdmin)) length++;
+  return length;
+}
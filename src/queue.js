@@ -0,0 +1,63 @@
+// The generation queue and its results, shared by the bot, the worker and the REST API
+
+import { Queue } from 'bullmq';
+import { recordCancelledWhileWaiting } from './analytics.js';
+import { requestCancel } from './cancellation.js';
+import { seal, unseal } from './secrets.js';
+
+export const QUEUE_NAME = 'vanity-generation';
+export const RESULT_TTL_SECONDS = 3600;
+
+export function redisOptions(env = process.env) {
+  return {
+    host: env.REDIS_HOST || 'redis',
+    port: env.REDIS_PORT || 6379,
+  };
+}
+
+// Failed jobs are kept for a while so a restarted bot can still tell why they failed
+export const DEFAULT_JOB_OPTIONS = { attempts: 1, removeOnComplete: true, removeOnFail: { age: RESULT_TTL_SECONDS } };
+
+export function createQueue(connection) {
+  return new Queue(QUEUE_NAME, { connection, defaultJobOptions: DEFAULT_JOB_OPTIONS });
+}
+
+// Jobs with a priority wait in the separate 'prioritized' state
+export async function getQueueSize(queue) {
+  const waiting = await queue.getJobCountByTypes('waiting', 'prioritized');
+  const active = await queue.getActiveCount();
+  return { waiting, active, total: waiting + active };
+}
+
+function resultRedisKey(jobId) {
+  return `vanity-result:${jobId}`;
+}
+
+// Results hold private keys - always sealed in Redis, never kept longer than an hour
+export async function storeResult(redis, key, jobId, result, ttlSeconds = RESULT_TTL_SECONDS) {
+  await redis.setex(resultRedisKey(jobId), ttlSeconds, seal(key, result));
+}
+
+export async function loadResult(redis, key, jobId) {
+  const sealed = await redis.get(resultRedisKey(jobId));
+  return sealed ? unseal(key, sealed) : null;
+}
+
+export async function hasResult(redis, jobId) {
+  return (await redis.exists(resultRedisKey(jobId))) === 1;
+}
+
+export async function deleteResult(redis, jobId) {
+  await redis.del(resultRedisKey(jobId));
+}
+
+// Waiting jobs can simply be removed; active ones are locked and stopped by their worker
+export async function cancelJob(queue, redis, jobId) {
+  await requestCancel(redis, jobId);
+
+  const job = await queue.getJob(jobId);
+  if (job && ['waiting', 'prioritized'].includes(await job.getState())) {
+    await job.remove();
+    await recordCancelledWhileWaiting(redis).catch(() => {});
+  }
+}
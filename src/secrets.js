@@ -0,0 +1,31 @@
+// Encryption at rest for generator results in Redis (AES-256-GCM)
+//
+// The key comes from RESULT_ENCRYPTION_KEY (any string, hashed to 32 bytes);
+// without it the bot token is used, which every bot/worker process has anyway.
+
+import crypto from 'crypto';
+
+const SEALED_PREFIX = 'v1:';
+
+export function loadResultKey(env = process.env) {
+  const secret = env.RESULT_ENCRYPTION_KEY || env.TELEGRAM_BOT_TOKEN;
+  if (!secret) throw new Error('RESULT_ENCRYPTION_KEY or TELEGRAM_BOT_TOKEN is required');
+  return crypto.createHash('sha256').update(`solvan-results:${secret}`).digest();
+}
+
+export function seal(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return SEALED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+export function unseal(key, sealed) {
+  if (!sealed.startsWith(SEALED_PREFIX)) throw new Error('Result is not encrypted');
+
+  const raw = Buffer.from(sealed.slice(SEALED_PREFIX.length), 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  const plaintext = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
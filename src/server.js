@@ -0,0 +1,99 @@
+// Built-in HTTP server of the bot - the Telegram webhook (when enabled) and a
+// readiness probe, on one port that other routes can share later
+//
+//   POST <WEBHOOK_PATH>   Telegram updates, X-Telegram-Bot-Api-Secret-Token checked
+//   GET  /healthz         200 when every check passes, 503 when one fails or the bot is draining
+
+import crypto from 'crypto';
+import http from 'http';
+import { logger } from './logger.js';
+
+const HEALTH_CHECK_TIMEOUT_MS = 3000;
+
+// WEBHOOK_URL (public base URL) turns webhook mode on - Telegram posts to WEBHOOK_URL + WEBHOOK_PATH.
+// The secret defaults to one derived from the bot token.
+export function loadWebhookConfig(env = process.env) {
+  if (!env.WEBHOOK_URL) return null;
+
+  const path = env.WEBHOOK_PATH || '/telegram';
+  const url = new URL(env.WEBHOOK_URL.replace(/\/+$/, '') + path);
+  const secretToken = env.WEBHOOK_SECRET
+    || crypto.createHash('sha256').update(`solvan-webhook:${env.TELEGRAM_BOT_TOKEN}`).digest('hex');
+
+  if (!/^[\w-]{1,256}$/.test(secretToken)) {
+    throw new Error('WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (1-256 characters)');
+  }
+  return { url: url.href, path, secretToken };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Timed out')), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// checks: { name: async () => {} } - a check passes when it doesn't throw
+async function runChecks(checks) {
+  const results = {};
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await withTimeout(check(), HEALTH_CHECK_TIMEOUT_MS);
+      results[name] = 'ok';
+    } catch (err) {
+      results[name] = err.message;
+    }
+  }
+  return results;
+}
+
+// webhook: { path, secretToken } or null (long polling - only /healthz is served).
+// drain() makes /healthz report 503 and turns new webhook updates away with 503,
+// so Telegram retries them and a load balancer moves on to another replica.
+export function createBotServer({ bot, webhook, checks }) {
+  const handleUpdate = webhook ? bot.webhookCallback(webhook.path, { secretToken: webhook.secretToken }) : null;
+  let draining = false;
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/healthz') {
+      if (draining) {
+        sendJson(res, 503, { status: 'draining' });
+        return;
+      }
+      runChecks(checks).then((results) => {
+        const ok = Object.values(results).every((result) => result === 'ok');
+        sendJson(res, ok ? 200 : 503, { status: ok ? 'ok' : 'unavailable', checks: results });
+      });
+      return;
+    }
+
+    if (handleUpdate && pathname === webhook.path) {
+      if (draining) {
+        res.writeHead(503).end();
+        return;
+      }
+      handleUpdate(req, res, () => res.writeHead(403).end()).catch((err) => {
+        logger.error('Webhook update failed', { err });
+        if (!res.headersSent) res.writeHead(500).end();
+      });
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  });
+
+  return {
+    server,
+    drain() {
+      draining = true;
+    },
+  };
+}
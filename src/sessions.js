@@ -0,0 +1,23 @@
+// Telegraf session store in Redis, so a user mid-flow survives bot restarts
+// and every bot replica sees the same session
+
+const SESSION_TTL_SECONDS = 86400;
+
+function sessionRedisKey(key) {
+  return `vanity-session:${key}`;
+}
+
+export function redisSessionStore(redis, ttlSeconds = SESSION_TTL_SECONDS) {
+  return {
+    async get(key) {
+      const value = await redis.get(sessionRedisKey(key));
+      return value ? JSON.parse(value) : undefined;
+    },
+    async set(key, value) {
+      await redis.setex(sessionRedisKey(key), ttlSeconds, JSON.stringify(value));
+    },
+    async delete(key) {
+      await redis.del(sessionRedisKey(key));
+    },
+  };
+}
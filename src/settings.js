@@ -0,0 +1,44 @@
+// Runtime overrides of the length policy and usage tiers, set with /setlimit.
+// Stored in Redis so every process (bot replicas, api.js) picks them up within
+// SETTINGS_REFRESH_MS; without an override the environment's values apply.
+
+import { logger } from './logger.js';
+
+const SETTINGS_KEY = 'vanity-settings';
+export const SETTINGS_REFRESH_MS = 30000;
+
+export async function loadSettings(redis) {
+  const { lengthPolicy, tiers } = await redis.hgetall(SETTINGS_KEY);
+  return {
+    lengthPolicy: lengthPolicy ? JSON.parse(lengthPolicy) : null,
+    tiers: tiers ? JSON.parse(tiers) : null,
+  };
+}
+
+// name: 'lengthPolicy' or 'tiers'
+export async function saveSetting(redis, name, value) {
+  await redis.hset(SETTINGS_KEY, name, JSON.stringify(value));
+}
+
+export async function resetSettings(redis) {
+  await redis.del(SETTINGS_KEY);
+}
+
+// Update the live objects in place, so everything holding them sees the change
+// live / defaults: { lengthPolicy, userLimits } (userLimits is optional)
+export async function applySettings(redis, live, defaults) {
+  const { lengthPolicy, tiers } = await loadSettings(redis);
+  const policy = structuredClone(lengthPolicy || defaults.lengthPolicy);
+
+  live.lengthPolicy.maxLength = policy.maxLength;
+  live.lengthPolicy.lengths = policy.lengths;
+  if (live.userLimits) live.userLimits.tiers = structuredClone(tiers || defaults.userLimits.tiers);
+}
+
+export function watchSettings(redis, live, defaults) {
+  const refresh = () =>
+    applySettings(redis, live, defaults).catch((err) => logger.error('Settings refresh failed', { err }));
+
+  refresh();
+  setInterval(refresh, SETTINGS_REFRESH_MS).unref();
+}
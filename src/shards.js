@@ -0,0 +1,116 @@
+// Sharded search - a hard single-wallet job is queued as a BullMQ flow: N shard
+// jobs searching the same pattern, and a parent job that runs once they are all
+// done and aggregates them. The first shard to find a match (or fail) sets the
+// job's stop flag, which every other shard polls - a Redis version of the
+// stop_flag in vanity_generator.py that works across machines.
+//
+// vanity-stop:<parentId>     string: set once the other shards should stop
+// vanity-shards:<parentId>   hash: shard -> JSON { attempts, keysPerSecond, elapsed, filtered }
+
+import { FlowProducer } from 'bullmq';
+import { expectedWork } from './difficulty.js';
+import { DEFAULT_JOB_OPTIONS, QUEUE_NAME } from './queue.js';
+import { canRun, getWorkers } from './workers.js';
+
+export const SHARDED_JOB = 'vanity-sharded';
+export const SHARD_JOB = 'vanity-shard';
+// Thrown into shards that another shard made unnecessary
+export const STOPPED = 'Stopped';
+
+// Stop flag, progress and the winning shard's result outlive any job time limit
+// (siblings still waiting in the queue may hold up the parent), but not forever
+export const SHARD_KEY_TTL_SECONDS = 86400;
+
+function stopKey(parentId) {
+  return `vanity-stop:${parentId}`;
+}
+
+function progressKey(parentId) {
+  return `vanity-shards:${parentId}`;
+}
+
+// SHARD_MIN_ATTEMPTS: jobs expected to need more attempts than this are sharded
+// (seed-phrase attempts weighted by their cost)
+// MAX_SHARDS: upper bound on shards per job (there are never more than free worker slots)
+export function loadShardConfig(env = process.env) {
+  return {
+    minAttempts: parseFloat(env.SHARD_MIN_ATTEMPTS) || 1e9,
+    maxShards: parseInt(env.MAX_SHARDS) || 8,
+  };
+}
+
+export function createFlowProducer(connection) {
+  return new FlowProducer({ connection });
+}
+
+// One shard per job slot of the live workers that can run it, within MAX_SHARDS
+export async function shardCount(redis, request, config = loadShardConfig()) {
+  if ((request.numWallets || 1) > 1 || expectedWork(request) < config.minAttempts) return 1;
+
+  const slots = (await getWorkers(redis))
+    .filter((worker) => canRun(worker.capabilities, request))
+    .reduce((total, worker) => total + worker.concurrency, 0);
+  return Math.max(1, Math.min(slots, config.maxShards));
+}
+
+// Queues a generation job, sharded when it's hard enough and flows is given.
+// Returns the job to track - the parent of the shards if it was split.
+export async function queueGeneration({ queue, flows, redis }, data, opts = {}) {
+  const shards = flows ? await shardCount(redis, data) : 1;
+  if (shards < 2) return queue.add('vanity-generation', data, opts);
+
+  const { searchType, vanityString, caseSensitive, basePublicKey, mnemonicWords, exclude, timeoutMs, userId } = data;
+  const { job } = await flows.add({
+    name: SHARDED_JOB,
+    queueName: QUEUE_NAME,
+    data: { ...data, shards },
+    opts: { ...DEFAULT_JOB_OPTIONS, ...opts },
+    children: Array.from({ length: shards }, (_, shard) => ({
+      name: SHARD_JOB,
+      queueName: QUEUE_NAME,
+      data: {
+        searchType,
+        vanityString,
+        caseSensitive,
+        basePublicKey,
+        mnemonicWords,
+        exclude,
+        timeoutMs,
+        userId,
+        shard,
+        shards,
+      },
+      // A shard that crashes fails the whole job instead of leaving it waiting forever
+      opts: { ...DEFAULT_JOB_OPTIONS, ...(opts.priority && { priority: opts.priority }), failParentOnFailure: true },
+    })),
+  });
+  return job;
+}
+
+export async function stopShards(redis, parentId) {
+  await redis.set(stopKey(parentId), '1', 'EX', SHARD_KEY_TTL_SECONDS);
+}
+
+export async function isStopped(redis, parentId) {
+  return (await redis.exists(stopKey(parentId))) === 1;
+}
+
+// Stores one shard's progress and returns the totals over all shards
+export async function recordShardProgress(redis, parentId, shard, progress) {
+  const key = progressKey(parentId);
+  await redis.multi().hset(key, shard, JSON.stringify(progress)).expire(key, SHARD_KEY_TTL_SECONDS).exec();
+
+  const shards = Object.values(await redis.hgetall(key)).map((value) => JSON.parse(value));
+  return {
+    attempts: shards.reduce((sum, s) => sum + s.attempts, 0),
+    keysPerSecond: shards.reduce((sum, s) => sum + s.keysPerSecond, 0),
+    elapsed: Math.max(...shards.map((s) => s.elapsed)),
+    found: 0,
+    filtered: shards.reduce((sum, s) => sum + (s.filtered || 0), 0),
+    shards: shards.length,
+  };
+}
+
+export async function clearShards(redis, parentId) {
+  await redis.del(stopKey(parentId), progressKey(parentId));
+}
@@ -0,0 +1,95 @@
+// Split-key (trustless) vanity generation
+//
+// The user keeps a secret scalar a and only sends the public key P = a·G. The
+// worker searches for a tweak t such that P + t·G matches the pattern and
+// returns t; only the user can compute the final secret scalar a + t.
+//
+// The final key is a raw ed25519 scalar rather than a 32-byte seed, so it
+// can't be imported into seed-based wallets (Phantom, Solflare, solana-keygen).
+// It signs through signWithExpandedKey() or any tool that takes expanded keys.
+
+import crypto from 'crypto';
+import { ed25519 } from '@noble/curves/ed25519';
+import { decode, encode } from './base58.js';
+
+const Point = ed25519.Point;
+const ORDER = ed25519.CURVE.n;
+
+export function bytesToScalar(bytes) {
+  return BigInt('0x' + (Buffer.from(bytes).reverse().toString('hex') || '0'));
+}
+
+export function scalarToBytes(scalar) {
+  return Buffer.from(scalar.toString(16).padStart(64, '0'), 'hex').reverse();
+}
+
+const mod = (n) => ((n % ORDER) + ORDER) % ORDER;
+const sha512 = (...parts) => crypto.createHash('sha512').update(Buffer.concat(parts)).digest();
+
+// Non-zero scalar, 64 random bytes so the reduction mod ORDER is unbiased
+export function randomScalar() {
+  return mod(bytesToScalar(crypto.randomBytes(64))) || 1n;
+}
+
+// Throws on anything that isn't a usable ed25519 public key
+export function parseBasePublicKey(text) {
+  let bytes;
+  try {
+    bytes = decode(text.trim());
+  } catch {
+    throw new Error('Not a base58 public key');
+  }
+  if (bytes.length !== 32) throw new Error('A public key is 32 bytes');
+
+  let point;
+  try {
+    point = Point.fromHex(bytes);
+  } catch {
+    throw new Error('Not a point on the ed25519 curve');
+  }
+  if (point.isSmallOrder()) throw new Error('Weak (small-order) public key');
+  return point;
+}
+
+export function tweakedAddress(basePublicKey, tweak) {
+  const point = parseBasePublicKey(basePublicKey).add(Point.BASE.multiply(mod(tweak)));
+  return encode(point.toBytes());
+}
+
+// seed: the user's 32-byte secret (first half of a Solana CLI keypair)
+// Returns the final address and the 64-byte expanded secret key (scalar || nonce prefix)
+export function combineSplitKey(seed, tweakHex) {
+  const hash = sha512(Buffer.from(seed).subarray(0, 32));
+  hash[0] &= 248;
+  hash[31] &= 127;
+  hash[31] |= 64;
+
+  const tweak = Buffer.from(tweakHex, 'hex');
+  const scalar = mod(bytesToScalar(hash.subarray(0, 32)) + bytesToScalar(tweak));
+  // Fresh nonce prefix so signatures under the new key don't reuse the base key's
+  const prefix = sha512(hash.subarray(32), tweak).subarray(0, 32);
+
+  return {
+    address: encode(Point.BASE.multiply(scalar).toBytes()),
+    expandedSecretKey: Buffer.concat([scalarToBytes(scalar), prefix]),
+  };
+}
+
+// RFC 8032 signing with an expanded secret key
+export function signWithExpandedKey(expandedSecretKey, message) {
+  const scalar = bytesToScalar(expandedSecretKey.subarray(0, 32));
+  const prefix = expandedSecretKey.subarray(32, 64);
+  const publicKey = Point.BASE.multiply(scalar).toBytes();
+  const msg = Buffer.from(message);
+
+  const r = mod(bytesToScalar(sha512(prefix, msg)));
+  const R = Point.BASE.multiply(r).toBytes();
+  const k = mod(bytesToScalar(sha512(R, publicKey, msg)));
+  const S = mod(r + k * scalar);
+
+  return Buffer.concat([R, scalarToBytes(S)]);
+}
+
+export function verifySignature(signature, message, address) {
+  return ed25519.verify(signature, Buffer.from(message), decode(address));
+}
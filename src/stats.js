@@ -0,0 +1,188 @@
+// Generation history and statistics in Redis
+//
+// vanity-job-record:<id>      hash: one finished job (pattern, outcome, addresses - never keys)
+// vanity-history:<userId>     sorted set of the user's record ids by finish time
+// vanity-stats:user:<userId>  hash: jobs, addresses and a count per outcome
+// vanity-stats:totals         the same counters for everyone
+
+import fs from 'fs';
+import readline from 'readline';
+import { CANCELLED } from './cancellation.js';
+
+export const OUTCOMES = ['success', 'failed', 'cancelled', 'timeout'];
+
+const SEQUENCE_KEY = 'vanity-job-record-seq';
+const TOTALS_KEY = 'vanity-stats:totals';
+const MIGRATED_KEY = 'vanity-stats:migrated';
+// Lines of the old file imported so far, and the lock of the process importing them
+const MIGRATED_LINES_KEY = 'vanity-stats:migrated-lines';
+const MIGRATING_KEY = 'vanity-stats:migrating';
+const MIGRATION_LOCK_SECONDS = 600;
+
+// Outcome of a job that failed with `error` (the worker aborts timed-out jobs with 'Timeout')
+export function outcomeOf(error) {
+  if (error.message === CANCELLED) return 'cancelled';
+  if (error.message === 'Timeout') return 'timeout';
+  return 'failed';
+}
+
+function recordKey(id) {
+  return `vanity-job-record:${id}`;
+}
+
+function historyKey(userId) {
+  return `vanity-history:${userId}`;
+}
+
+function userStatsKey(userId) {
+  return `vanity-stats:user:${userId}`;
+}
+
+function parseCounters(hash) {
+  const counters = { jobs: 0, addresses: 0 };
+  OUTCOMES.forEach((outcome) => { counters[outcome] = 0; });
+  Object.entries(hash || {}).forEach(([field, value]) => { counters[field] = parseInt(value) || 0; });
+  return counters;
+}
+
+function parseRecord(hash) {
+  if (!hash || !hash.userId) return null;
+  return {
+    id: hash.id,
+    userId: Number(hash.userId),
+    searchType: hash.searchType,
+    vanityString: hash.vanityString,
+    caseSensitive: hash.caseSensitive === 'true',
+    numWallets: Number(hash.numWallets),
+    attempts: Number(hash.attempts),
+    durationMs: Number(hash.durationMs),
+    outcome: hash.outcome,
+    addresses: JSON.parse(hash.addresses || '[]'),
+    timestamp: Number(hash.timestamp),
+  };
+}
+
+// Storage for per-job records - swap this factory to move stats elsewhere
+export function createStatsRepository(redis) {
+  // pipeline: a MULTI or pipeline to queue the writes on
+  function queueRecord(pipeline, id, entry) {
+    const { userId, searchType, vanityString, caseSensitive, numWallets = 1, attempts = 0, durationMs = 0, outcome, addresses = [] } = entry;
+    const timestamp = entry.timestamp ?? Date.now();
+
+    pipeline
+      .hset(recordKey(id), {
+        id,
+        userId,
+        searchType,
+        vanityString,
+        caseSensitive: String(Boolean(caseSensitive)),
+        numWallets,
+        attempts: Math.round(attempts),
+        durationMs: Math.round(durationMs),
+        outcome,
+        addresses: JSON.stringify(addresses),
+        timestamp,
+      })
+      .zadd(historyKey(userId), timestamp, id);
+
+    for (const key of [userStatsKey(userId), TOTALS_KEY]) {
+      pipeline.hincrby(key, 'jobs', 1).hincrby(key, outcome, 1).hincrby(key, 'addresses', addresses.length);
+    }
+  }
+
+  // Imports the lines not done yet, then marks the migration done and renames the file
+  async function importJsonl(file) {
+    const done = parseInt(await redis.get(MIGRATED_LINES_KEY)) || 0;
+    let imported = 0;
+    let lineNumber = 0;
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (lineNumber <= done || !line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (!entry.userId || !entry.address) continue;
+
+      const id = await redis.incr(SEQUENCE_KEY);
+      const pipeline = redis.multi();
+      queueRecord(pipeline, id, {
+        userId: entry.userId,
+        searchType: entry.searchType || 'prefix',
+        vanityString: entry.vanityString,
+        caseSensitive: entry.caseSensitive,
+        numWallets: 1,
+        attempts: entry.attempts,
+        durationMs: entry.timeMs,
+        outcome: 'success',
+        addresses: [entry.address],
+        timestamp: Date.parse(entry.timestamp) || Date.now(),
+      });
+      pipeline.set(MIGRATED_LINES_KEY, lineNumber);
+      await pipeline.exec();
+      imported++;
+    }
+
+    await redis.set(MIGRATED_KEY, new Date().toISOString());
+    fs.renameSync(file, `${file}.migrated`);
+    await redis.del(MIGRATED_LINES_KEY);
+    return imported;
+  }
+
+  return {
+    // entry: { userId, searchType, vanityString, caseSensitive, numWallets, attempts, durationMs, outcome, addresses }
+    async recordJob(entry) {
+      if (!OUTCOMES.includes(entry.outcome)) throw new Error(`Unknown outcome: ${entry.outcome}`);
+
+      const id = await redis.incr(SEQUENCE_KEY);
+      const multi = redis.multi();
+      queueRecord(multi, id, entry);
+      await multi.exec();
+      return id;
+    },
+
+    async getUserStats(userId) {
+      return parseCounters(await redis.hgetall(userStatsKey(userId)));
+    },
+
+    async getTotals() {
+      return parseCounters(await redis.hgetall(TOTALS_KEY));
+    },
+
+    // Newest first; page starts at 0
+    async getHistory(userId, page = 0, pageSize = 5) {
+      const total = await redis.zcard(historyKey(userId));
+      const ids = await redis.zrevrange(historyKey(userId), page * pageSize, (page + 1) * pageSize - 1);
+
+      const pipeline = redis.pipeline();
+      ids.forEach((id) => pipeline.hgetall(recordKey(id)));
+      const results = ids.length ? await pipeline.exec() : [];
+
+      return {
+        entries: results.map(([, hash]) => parseRecord(hash)).filter(Boolean),
+        total,
+        pages: Math.max(Math.ceil(total / pageSize), 1),
+      };
+    },
+
+    // One-time import of the old vanity_addresses.jsonl (one line per address), renamed afterwards.
+    // Each record is written together with the count of lines done, so an import that
+    // stops part-way carries on where it left off the next time the file is found.
+    async migrateFromJsonl(file) {
+      if (!fs.existsSync(file)) return 0;
+      if (await redis.exists(MIGRATED_KEY)) return 0;
+      if ((await redis.set(MIGRATING_KEY, '1', 'EX', MIGRATION_LOCK_SECONDS, 'NX')) !== 'OK') return 0;
+
+      try {
+        return await importJsonl(file);
+      } finally {
+        await redis.del(MIGRATING_KEY);
+      }
+    },
+  };
+}
@@ -0,0 +1,83 @@
+// Measured generator throughput (keys/sec), shared through Redis so the bot
+// can turn expected attempts into time on the current hardware
+
+import os from 'os';
+
+const THROUGHPUT_KEY = 'vanity-throughput';
+const WORKERS_KEY = 'vanity-throughput:workers';
+// Weight of a new sample in the moving average
+const SMOOTHING = 0.3;
+
+export async function getThroughput(redis) {
+  const value = await redis.hget(THROUGHPUT_KEY, 'keysPerSecond');
+  return value ? parseFloat(value) : null;
+}
+
+export async function recordThroughput(redis, keysPerSecond) {
+  if (!Number.isFinite(keysPerSecond) || keysPerSecond <= 0) return;
+
+  const previous = await getThroughput(redis);
+  const smoothed = previous ? previous * (1 - SMOOTHING) + keysPerSecond * SMOOTHING : keysPerSecond;
+
+  await redis.hset(THROUGHPUT_KEY, {
+    keysPerSecond: Math.round(smoothed),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// Per-worker moving average, keyed by workerId() - for operators comparing machines
+export function workerId() {
+  return `${os.hostname()}:${process.pid}`;
+}
+
+export async function recordWorkerThroughput(redis, id, keysPerSecond) {
+  if (!Number.isFinite(keysPerSecond) || keysPerSecond <= 0) return;
+
+  const previous = JSON.parse((await redis.hget(WORKERS_KEY, id)) || 'null');
+  const smoothed = previous
+    ? previous.keysPerSecond * (1 - SMOOTHING) + keysPerSecond * SMOOTHING
+    : keysPerSecond;
+
+  await redis.hset(WORKERS_KEY, id, JSON.stringify({
+    keysPerSecond: Math.round(smoothed),
+    updatedAt: new Date().toISOString(),
+  }));
+}
+
+// Workers not heard from within maxAgeMs are left out (and forgotten)
+export async function getWorkerThroughputs(redis, maxAgeMs = 86400000) {
+  const workers = [];
+  for (const [id, value] of Object.entries(await redis.hgetall(WORKERS_KEY))) {
+    const { keysPerSecond, updatedAt } = JSON.parse(value);
+    if (Date.now() - Date.parse(updatedAt) > maxAgeMs) {
+      await redis.hdel(WORKERS_KEY, id);
+      continue;
+    }
+    workers.push({ id, keysPerSecond, updatedAt });
+  }
+  return workers;
+}
+
+// Run the engine on a practically impossible pattern for `durationMs`
+export async function benchmark(runGenerator, options = {}, durationMs = 3000) {
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  let attempts = 0;
+
+  const timer = setTimeout(() => controller.abort(new Error('Benchmark finished')), durationMs);
+
+  try {
+    const result = await runGenerator(
+      { searchType: 'suffix', vanityString: 'zzzz', caseSensitive: true },
+      { ...options, signal: controller.signal, onProgress: (n) => { attempts = n; } }
+    );
+    // Lucky match - still a valid measurement
+    attempts = result.attempts;
+  } catch (err) {
+    if (!controller.signal.aborted) throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return (attempts * 1000) / (Date.now() - startedAt);
+}
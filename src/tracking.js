@@ -0,0 +1,86 @@
+// Bot jobs waiting for delivery, kept in Redis so any bot process (or the same
+// one after a restart) can deliver a finished job to the chat that asked for it
+//
+// vanity-user-job:<userId>      the user's job id ('pending' while it is queued)
+// vanity-delivery:<jobId>       hash: userId, chatId, messageId, locale, request (JSON), passphrase (sealed)
+// vanity-delivery-jobs          set of job ids still to be delivered
+
+const PENDING = 'pending';
+const CLAIM_TTL_SECONDS = 300;
+const TRACKED_SET = 'vanity-delivery-jobs';
+
+function userRedisKey(userId) {
+  return `vanity-user-job:${userId}`;
+}
+
+function deliveryRedisKey(jobId) {
+  return `vanity-delivery:${jobId}`;
+}
+
+// One generation per user - false if the user already has one
+export async function claimUser(redis, userId) {
+  return (await redis.set(userRedisKey(userId), PENDING, 'EX', CLAIM_TTL_SECONDS, 'NX')) === 'OK';
+}
+
+export async function releaseUser(redis, userId) {
+  await redis.del(userRedisKey(userId));
+}
+
+export async function isGenerating(redis, userId) {
+  return (await redis.exists(userRedisKey(userId))) === 1;
+}
+
+// Job id of the user's generation, null while it is not queued yet
+export async function getUserJob(redis, userId) {
+  const jobId = await redis.get(userRedisKey(userId));
+  return jobId === PENDING ? null : jobId;
+}
+
+export async function trackJob(redis, jobId, delivery, ttlSeconds) {
+  const { userId, chatId, messageId, locale = '', request, passphrase = '' } = delivery;
+
+  await redis
+    .multi()
+    .hset(deliveryRedisKey(jobId), {
+      userId,
+      chatId,
+      messageId,
+      locale,
+      request: JSON.stringify(request),
+      passphrase,
+    })
+    .expire(deliveryRedisKey(jobId), ttlSeconds)
+    .sadd(TRACKED_SET, jobId)
+    .set(userRedisKey(userId), jobId, 'EX', ttlSeconds)
+    .exec();
+}
+
+function parseDelivery(hash) {
+  if (!hash || !hash.userId) return null;
+  return {
+    userId: Number(hash.userId),
+    chatId: Number(hash.chatId),
+    messageId: Number(hash.messageId),
+    locale: hash.locale || null,
+    request: JSON.parse(hash.request),
+    passphrase: hash.passphrase || null,
+  };
+}
+
+export async function getTrackedJob(redis, jobId) {
+  return parseDelivery(await redis.hgetall(deliveryRedisKey(jobId)));
+}
+
+export async function trackedJobIds(redis) {
+  return redis.smembers(TRACKED_SET);
+}
+
+// Takes the job out of tracking - only the first caller gets its delivery details,
+// so a completion seen by several bot processes is delivered once
+export async function claimDelivery(redis, jobId) {
+  if ((await redis.srem(TRACKED_SET, jobId)) !== 1) return null;
+
+  const delivery = await getTrackedJob(redis, jobId);
+  await redis.del(deliveryRedisKey(jobId));
+  return delivery;
+}
@@ -0,0 +1,408 @@
+// Generator worker - takes jobs off the shared queue and runs the engine.
+// Runs inside the bot (unless BOT_ONLY=true) or on its own with worker.js, on as
+// many machines as needed as long as they share Redis and RESULT_ENCRYPTION_KEY.
+
+import os from 'os';
+import { DelayedError, UnrecoverableError, Worker } from 'bullmq';
+import { recordJobRun } from './analytics.js';
+import { CANCELLED, isCancelRequested, watchCancellations } from './cancellation.js';
+import { attemptCost } from './difficulty.js';
+import { getEngine } from './engines/index.js';
+import { filterSpec, loadFilterConfig } from './filters.js';
+import { INTERRUPTED, markInterrupted } from './interruptions.js';
+import { recordCpuSeconds } from './limits.js';
+import { logger } from './logger.js';
+import { MAX_PATTERN_LENGTH, parsePattern } from './patterns.js';
+import { DEFAULT_TIMEOUT_MINUTES, alternativesLength } from './policy.js';
+import { QUEUE_NAME, createQueue, deleteResult, loadResult, storeResult } from './queue.js';
+import {
+  SHARDED_JOB,
+  SHARD_JOB,
+  SHARD_KEY_TTL_SECONDS,
+  STOPPED,
+  clearShards,
+  isStopped,
+  recordShardProgress,
+  stopShards,
+} from './shards.js';
+import { outcomeOf } from './stats.js';
+import { benchmark, recordThroughput, recordWorkerThroughput, workerId } from './throughput.js';
+import { NO_WORKER, canAnyWorkerRun, canRun, startHeartbeat } from './workers.js';
+
+// Progress: worker -> job.updateProgress, bot -> throttled message edits
+const PROGRESS_UPDATE_INTERVAL_MS = 2000;
+const CHECKPOINT_INTERVAL_MS = 30000;
+// A job this worker can't run goes back to the queue for another worker
+const HANDOFF_DELAY_MS = 1000;
+// How often a shard checks whether another shard already found a match
+const STOP_POLL_INTERVAL_MS = 1000;
+// After the grace period, how long the interrupted jobs may take to stop and be requeued
+const REQUEUE_TIMEOUT_MS = 5000;
+// Closing the queue and Redis connections once the jobs are requeued
+export const CLOSE_TIMEOUT_MS = 5000;
+
+// Engine, generator threads per job and jobs at once. Sized from the cores so a
+// worker never runs more generator threads than the machine has: GENERATOR_THREADS
+// and WORKER_CONCURRENCY each default to what the other leaves.
+// SHUTDOWN_GRACE_MS: how long running jobs may finish on shutdown before they are requeued.
+export function loadWorkerConfig(env = process.env) {
+  const cores = os.availableParallelism();
+  const engine = env.GENERATOR_ENGINE || 'js';
+  const configured = parseInt(env.WORKER_CONCURRENCY) || null;
+
+  // The Python generator always starts a process per core
+  const threads = engine === 'python'
+    ? cores
+    : parseInt(env.GENERATOR_THREADS) || Math.max(1, Math.floor(cores / (configured || 1)));
+  const concurrency = configured || Math.max(1, Math.floor(cores / threads));
+
+  return {
+    engine,
+    threads,
+    concurrency,
+    shutdownGraceMs: parseInt(env.SHUTDOWN_GRACE_MS) || 30000,
+    filters: loadFilterConfig(env),
+    capabilities: {
+      maxLength: Math.min(parseInt(env.WORKER_MAX_LENGTH) || MAX_PATTERN_LENGTH, MAX_PATTERN_LENGTH),
+      split: engine === 'js',
+      mnemonic: engine === 'js',
+    },
+  };
+}
+
+// connection: BullMQ connection (maxRetriesPerRequest: null), redis: commands,
+// subscriber: dedicated connection for cancel requests.
+// Benchmarks the engine, then starts taking jobs; close() stops taking jobs, gives the
+// running ones the grace period, requeues what is left and unregisters the worker.
+// shutdownTimeoutMs is how long close() may take - a process exits when it is over.
+export function createGeneratorWorker({ connection, redis, subscriber, resultKey, config = loadWorkerConfig() }) {
+  const { engine, threads, concurrency, shutdownGraceMs, filters, capabilities } = config;
+  const runGenerator = getEngine(engine);
+  const id = workerId();
+  const log = logger.child({ worker: id });
+  // For reporting shard progress on their parent jobs
+  const queue = createQueue(connection);
+
+  // Jobs running on this worker, by job id: { controller, parentId (shards only) }
+  const runningJobs = new Map();
+  let keysPerSecond = null;
+
+  const recordSpeed = async (speed) => {
+    keysPerSecond = Math.round(speed);
+    await recordThroughput(redis, speed);
+    await recordWorkerThroughput(redis, id, speed);
+  };
+
+  // Cancelling a sharded job stops all of its shards
+  watchCancellations(subscriber, (jobId) => {
+    for (const [runningId, { controller, parentId }] of runningJobs) {
+      if (runningId !== jobId && parentId !== jobId) continue;
+      log.info('Cancel requested - stopping generator', { jobId: runningId });
+      controller.abort(new UnrecoverableError(CANCELLED));
+    }
+  }).catch((err) => log.error('Cancel channel error', { err }));
+
+  const recordRun = (job, runStartedAt, outcome, jobLog) => {
+    const { searchType, vanityString, caseSensitive } = job.data;
+    return recordJobRun(redis, {
+      searchType,
+      vanityString,
+      caseSensitive,
+      length: alternativesLength(parsePattern(searchType, vanityString)),
+      outcome,
+      waitMs: runStartedAt - job.timestamp,
+      runMs: Date.now() - runStartedAt,
+    }).catch((err) => jobLog.error('Analytics error', { err }));
+  };
+
+  // Runs the engine for a job (or shard) with throttled progress reports, checkpoints
+  // and the job's time limit. Errors carry the attempts (and filtered matches) so far.
+  const generate = async (job, controller, jobLog, report) => {
+    const { searchType, vanityString, caseSensitive, numWallets = 1, basePublicKey, mnemonicWords, exclude } = job.data;
+    const runStartedAt = Date.now();
+
+    // Resume statistics of a job that was interrupted by a worker restart
+    const checkpoint = { attempts: 0, elapsed: 0, filtered: 0, ...job.data.checkpoint };
+    if (checkpoint.attempts) {
+      jobLog.info('Resuming from checkpoint', { attempts: checkpoint.attempts });
+    }
+
+    const startedAt = Date.now() - checkpoint.elapsed * 1000;
+    let lastReport = { at: Date.now(), attempts: checkpoint.attempts };
+    let lastCheckpoint = Date.now();
+    let runAttempts = 0;
+    let runFiltered = 0;
+
+    // Throttled so Redis only sees one progress write every couple of seconds
+    const onProgress = (attemptsSoFar, found = 0, filteredSoFar = 0) => {
+      runAttempts = attemptsSoFar;
+      runFiltered = filteredSoFar;
+      const now = Date.now();
+      if (now - lastReport.at < PROGRESS_UPDATE_INTERVAL_MS) return;
+
+      const attempts = checkpoint.attempts + runAttempts;
+      const filtered = checkpoint.filtered + runFiltered;
+      const elapsed = (now - startedAt) / 1000;
+      const speed = Math.round(((attempts - lastReport.attempts) * 1000) / (now - lastReport.at));
+      lastReport = { at: now, attempts };
+
+      report({ attempts, keysPerSecond: speed, elapsed, found, filtered }).catch((err) =>
+        jobLog.warn('Progress update failed', { err })
+      );
+
+      if (now - lastCheckpoint >= CHECKPOINT_INTERVAL_MS) {
+        lastCheckpoint = now;
+        job
+          .updateData({ ...job.data, checkpoint: { attempts, elapsed, filtered } })
+          .catch((err) => jobLog.warn('Checkpoint failed', { err }));
+      }
+    };
+
+    const timeoutMs = job.data.timeoutMs || DEFAULT_TIMEOUT_MINUTES * 60000;
+    const timeout = setTimeout(() => {
+      jobLog.warn('Timeout reached', { timeoutMs });
+      controller.abort(new Error('Timeout'));
+    }, Math.max(timeoutMs - checkpoint.elapsed * 1000, 0));
+
+    try {
+      const result = await runGenerator(
+        {
+          searchType,
+          vanityString,
+          caseSensitive,
+          numWallets,
+          basePublicKey,
+          mnemonicWords,
+          filters: filterSpec(filters, exclude),
+        },
+        { signal: controller.signal, onProgress, threads, log: jobLog }
+      );
+
+      result.attempts += checkpoint.attempts;
+      result.filtered = (result.filtered || 0) + checkpoint.filtered;
+      result.time = Math.round((Date.now() - startedAt) / 10) / 100;
+
+      // Short jobs are dominated by thread start-up, don't let them skew the average.
+      // The average is in plain keypairs, seed-phrase attempts count as their cost.
+      if (result.time >= 1) {
+        await recordSpeed((result.attempts * attemptCost(job.data)) / result.time).catch(() => {});
+      }
+      return result;
+    } catch (err) {
+      err.attempts = checkpoint.attempts + runAttempts;
+      err.filtered = checkpoint.filtered + runFiltered;
+      err.elapsed = (Date.now() - startedAt) / 1000;
+      throw err;
+    } finally {
+      clearTimeout(timeout);
+
+      // Counts against the user's daily CPU quota, finished or not
+      if (job.data.userId) {
+        const cpuSeconds = ((Date.now() - runStartedAt) / 1000) * threads;
+        recordCpuSeconds(redis, job.data.userId, cpuSeconds).catch(() => {});
+      }
+    }
+  };
+
+  // Back to the queue with the attempts made so far - the next worker resumes from
+  // there. trackedId is the job the bot tracks (the parent of a shard).
+  const requeue = async (job, token, err, trackedId, jobLog) => {
+    const { attempts, elapsed, filtered } = err;
+    await job.updateData({ ...job.data, checkpoint: { attempts, elapsed, filtered } });
+    await markInterrupted(redis, trackedId);
+    await job.moveToDelayed(Date.now(), token);
+    jobLog.info('Interrupted by shutdown - requeued', { attempts: err.attempts });
+    throw new DelayedError();
+  };
+
+  const runJob = async (job, token) => {
+    const { searchType, vanityString, caseSensitive, numWallets = 1 } = job.data;
+    const jobLog = logger.child({ jobId: job.id, userId: job.data.userId, worker: id });
+    // The length only - what users type is never logged
+    jobLog.info('Processing job', { searchType, length: vanityString.length, caseSensitive, numWallets });
+
+    const controller = new AbortController();
+    runningJobs.set(job.id, { controller });
+    const runStartedAt = Date.now();
+
+    try {
+      // Cancelled while it was still waiting in the queue
+      if (await isCancelRequested(redis, job.id)) throw new UnrecoverableError(CANCELLED);
+
+      const result = await generate(job, controller, jobLog, (progress) => job.updateProgress(progress));
+
+      await storeResult(redis, resultKey, job.id, result);
+      jobLog.debug('Result stored', { attempts: result.attempts, filtered: result.filtered, time: result.time });
+      await recordRun(job, runStartedAt, 'success', jobLog);
+
+      return { success: true, jobId: job.id };
+    } catch (err) {
+      if (err.message === INTERRUPTED) return requeue(job, token, err, job.id, jobLog);
+      if (err.message !== CANCELLED) jobLog.error('Generator failed', { err });
+      await recordRun(job, runStartedAt, outcomeOf(err), jobLog);
+      throw err;
+    } finally {
+      runningJobs.delete(job.id);
+    }
+  };
+
+  // One shard of a sharded job. Never fails: it returns { found }, { stopped },
+  // { cancelled } or { error } with its attempts and filtered matches, and the
+  // parent job sorts it out.
+  const runShard = async (job, token) => {
+    const parentId = job.parent.id;
+    const { shard, shards } = job.data;
+    const jobLog = logger.child({ jobId: parentId, shard, userId: job.data.userId, worker: id });
+    jobLog.info('Processing shard', { shards });
+
+    const controller = new AbortController();
+    runningJobs.set(job.id, { controller, parentId });
+    const startedAt = Date.now();
+
+    if ((await isCancelRequested(redis, parentId)) || (await isCancelRequested(redis, job.id))) {
+      runningJobs.delete(job.id);
+      return { cancelled: true, attempts: 0, filtered: 0, startedAt };
+    }
+
+    // Progress of all shards together is reported on the parent job
+    const parent = await queue.getJob(parentId);
+    const report = async (progress) => {
+      const totals = await recordShardProgress(redis, parentId, shard, progress);
+      await parent?.updateProgress(totals);
+    };
+
+    const poll = setInterval(() => {
+      isStopped(redis, parentId)
+        .then((stopped) => stopped && controller.abort(new Error(STOPPED)))
+        .catch(() => {});
+    }, STOP_POLL_INTERVAL_MS);
+
+    try {
+      if (await isStopped(redis, parentId)) throw Object.assign(new Error(STOPPED), { attempts: 0, filtered: 0 });
+
+      const result = await generate(job, controller, jobLog, report);
+      await stopShards(redis, parentId);
+      // Kept until the parent collects it, however long the other shards take to stop
+      await storeResult(redis, resultKey, job.id, result, SHARD_KEY_TTL_SECONDS);
+      jobLog.info('Shard found a match', { attempts: result.attempts });
+
+      return { found: true, attempts: result.attempts, filtered: result.filtered, startedAt };
+    } catch (err) {
+      const { attempts = 0, filtered = 0 } = err;
+      if (err.message === STOPPED) return { stopped: true, attempts, filtered, startedAt };
+      if (err.message === CANCELLED) return { cancelled: true, attempts, filtered, startedAt };
+      if (err.message === INTERRUPTED) return requeue(job, token, err, parentId, jobLog);
+
+      jobLog.error('Shard failed', { err });
+      await stopShards(redis, parentId);
+      return { error: err.message, attempts, filtered, startedAt };
+    } finally {
+      clearInterval(poll);
+      runningJobs.delete(job.id);
+    }
+  };
+
+  // Parent of a sharded job - runs once every shard is done
+  const collectShards = async (job) => {
+    const jobLog = logger.child({ jobId: job.id, userId: job.data.userId, worker: id });
+    const shards = Object.entries(await job.getChildrenValues()).map(([key, value]) => ({
+      id: key.slice(key.lastIndexOf(':') + 1),
+      ...value,
+    }));
+    const attempts = shards.reduce((sum, s) => sum + s.attempts, 0);
+    const filtered = shards.reduce((sum, s) => sum + (s.filtered || 0), 0);
+    const runStartedAt = shards.length ? Math.min(...shards.map((s) => s.startedAt)) : Date.now();
+    await clearShards(redis, job.id);
+
+    const winner = shards.find((s) => s.found);
+    if (winner) {
+      const result = await loadResult(redis, resultKey, winner.id);
+      if (!result) {
+        const err = new UnrecoverableError(`Result of shard ${winner.id} expired before the job was collected`);
+        jobLog.error('Sharded job lost its result', { shard: winner.id });
+        await recordRun(job, runStartedAt, outcomeOf(err), jobLog);
+        throw err;
+      }
+      result.attempts = attempts;
+      result.filtered = filtered;
+      result.time = Math.round((Date.now() - runStartedAt) / 10) / 100;
+
+      await storeResult(redis, resultKey, job.id, result);
+      await Promise.all(shards.filter((s) => s.found).map((s) => deleteResult(redis, s.id)));
+      jobLog.info('Sharded job finished', { shards: shards.length, attempts });
+      await recordRun(job, runStartedAt, 'success', jobLog);
+
+      return { success: true, jobId: job.id };
+    }
+
+    // Shards removed from the queue by a cancel never report back
+    const cancelled =
+      !shards.length || shards.some((s) => s.cancelled) || (await isCancelRequested(redis, job.id));
+    const err = new UnrecoverableError(cancelled ? CANCELLED : shards.find((s) => s.error)?.error || 'Job failed');
+    await recordRun(job, runStartedAt, outcomeOf(err), jobLog);
+    throw err;
+  };
+
+  const worker = new Worker(QUEUE_NAME, async (job, token) => {
+    if (job.name === SHARDED_JOB) return collectShards(job);
+
+    if (!canRun(capabilities, job.data)) {
+      if (!(await canAnyWorkerRun(redis, job.data))) throw new UnrecoverableError(NO_WORKER);
+      await job.moveToDelayed(Date.now() + HANDOFF_DELAY_MS, token);
+      throw new DelayedError();
+    }
+
+    return job.name === SHARD_JOB ? runShard(job, token) : runJob(job, token);
+  }, { connection, concurrency, autorun: false });
+
+  worker.on('completed', (job) => {
+    log.info('Job completed', { jobId: job.id });
+  });
+
+  worker.on('failed', (job, err) => {
+    if (err.message === CANCELLED) {
+      log.info('Job cancelled', { jobId: job.id });
+      return;
+    }
+    log.warn('Job failed', { jobId: job.id, err: err.message });
+  });
+
+  log.info('Generator worker starting', { engine, threads, concurrency, capabilities });
+
+  const stopHeartbeat = startHeartbeat(
+    redis,
+    id,
+    () => ({ engine, threads, concurrency, capabilities, running: runningJobs.size, keysPerSecond }),
+    log
+  );
+
+  // Measure keys/sec for the bot's time estimates before taking jobs
+  benchmark(runGenerator, { threads, log: log.child({ benchmark: true }) })
+    .then(async (speed) => {
+      log.info('Benchmark finished', { keysPerSecond: Math.round(speed) });
+      await recordSpeed(speed);
+    })
+    .catch((err) => log.error('Benchmark failed', { err }))
+    .finally(() => {
+      worker.run().catch((err) => log.error('Worker error', { err }));
+    });
+
+  return {
+    worker,
+    shutdownTimeoutMs: shutdownGraceMs + REQUEUE_TIMEOUT_MS,
+    async close() {
+      const grace = setTimeout(() => {
+        for (const [jobId, { controller }] of runningJobs) {
+          log.warn('Shutdown grace period over - interrupting job', { jobId });
+          controller.abort(new Error(INTERRUPTED));
+        }
+      }, shutdownGraceMs);
+
+      await stopHeartbeat();
+      // Takes no new jobs and waits for the running ones to finish or be requeued
+      await worker.close();
+      clearTimeout(grace);
+      await queue.close();
+    },
+  };
+}
@@ -0,0 +1,62 @@
+// Worker registry - every generator worker (bot process or worker.js) sends a
+// heartbeat so the bot and admins can see which workers are alive, what they
+// can run and how fast they are
+//
+// vanity-workers   hash: workerId -> JSON { engine, threads, concurrency, capabilities, running, keysPerSecond, startedAt, at }
+
+import { alternativesLength } from './policy.js';
+import { parsePattern } from './patterns.js';
+
+const WORKERS_KEY = 'vanity-workers';
+export const HEARTBEAT_INTERVAL_MS = 10000;
+// A worker that missed this many heartbeats is considered gone
+const HEARTBEAT_TIMEOUT_MS = HEARTBEAT_INTERVAL_MS * 3;
+
+// status() -> the worker's current info; sent right away and then every interval.
+// Returns a function that stops the heartbeat and unregisters the worker.
+export function startHeartbeat(redis, id, status, log) {
+  const startedAt = new Date().toISOString();
+  const beat = () =>
+    redis
+      .hset(WORKERS_KEY, id, JSON.stringify({ ...status(), startedAt, at: new Date().toISOString() }))
+      .catch((err) => log.warn('Heartbeat failed', { err }));
+
+  beat();
+  const timer = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+
+  return async () => {
+    clearInterval(timer);
+    await redis.hdel(WORKERS_KEY, id).catch(() => {});
+  };
+}
+
+// Workers heard from recently; stale entries are removed
+export async function getWorkers(redis) {
+  const workers = [];
+  for (const [id, value] of Object.entries(await redis.hgetall(WORKERS_KEY))) {
+    const worker = JSON.parse(value);
+    if (Date.now() - Date.parse(worker.at) > HEARTBEAT_TIMEOUT_MS) {
+      await redis.hdel(WORKERS_KEY, id);
+      continue;
+    }
+    workers.push({ id, ...worker });
+  }
+  return workers;
+}
+
+// capabilities: { maxLength, split, mnemonic } - the longest pattern a worker takes and
+// whether its engine can do split-key and seed-phrase searches
+export function canRun(capabilities, { searchType, vanityString, basePublicKey, mnemonicWords }) {
+  if (basePublicKey && !capabilities.split) return false;
+  if (mnemonicWords && !capabilities.mnemonic) return false;
+  return alternativesLength(parsePattern(searchType, vanityString)) <= capabilities.maxLength;
+}
+
+// Failure reason of jobs that none of the live workers can run
+export const NO_WORKER = 'No worker can run this job';
+
+// Whether a job a worker can't run should go back to the queue for another worker -
+// false once no live worker could ever take it, so it fails instead of circling forever
+export async function canAnyWorkerRun(redis, data) {
+  return (await getWorkers(redis)).some((worker) => canRun(worker.capabilities, data));
+}
@@ -0,0 +1,111 @@
+// Minimal password-protected ZIP writer (WinZip AES-256, AE-2, stored entries)
+// Opens with 7-Zip, WinZip and WinRAR (not the legacy `unzip` tool).
+
+import crypto from 'crypto';
+
+const AES_STRENGTH = 3; // AES-256
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 32;
+const PBKDF2_ITERATIONS = 1000;
+const MAC_LENGTH = 10;
+const AES_EXTRA_LENGTH = 11;
+
+// AES-CTR with a little-endian counter starting at 1, as the WinZip spec requires
+function aesCtrLittleEndian(key, data) {
+  const blocks = Math.ceil(data.length / 16);
+  const counters = Buffer.alloc(blocks * 16);
+  for (let i = 0; i < blocks; i++) counters.writeUInt32LE(i + 1, i * 16);
+
+  const cipher = crypto.createCipheriv('aes-256-ecb', key, null).setAutoPadding(false);
+  const keystream = Buffer.concat([cipher.update(counters), cipher.final()]);
+
+  const out = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) out[i] = data[i] ^ keystream[i];
+  return out;
+}
+
+function encryptEntry(data, password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const derived = crypto.pbkdf2Sync(password, salt, PBKDF2_ITERATIONS, KEY_LENGTH * 2 + 2, 'sha1');
+  const encKey = derived.subarray(0, KEY_LENGTH);
+  const authKey = derived.subarray(KEY_LENGTH, KEY_LENGTH * 2);
+  const verifier = derived.subarray(KEY_LENGTH * 2);
+
+  const ciphertext = aesCtrLittleEndian(encKey, data);
+  const mac = crypto.createHmac('sha1', authKey).update(ciphertext).digest().subarray(0, MAC_LENGTH);
+
+  return Buffer.concat([salt, verifier, ciphertext, mac]);
+}
+
+function aesExtraField() {
+  const extra = Buffer.alloc(AES_EXTRA_LENGTH);
+  extra.writeUInt16LE(0x9901, 0); // AES header id
+  extra.writeUInt16LE(7, 2); // data size
+  extra.writeUInt16LE(2, 4); // AE-2 (no CRC)
+  extra.write('AE', 6, 'ascii');
+  extra.writeUInt8(AES_STRENGTH, 8);
+  extra.writeUInt16LE(0, 9); // actual compression: stored
+  return extra;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// entries: [{ name, data }] -> ZIP file as a Buffer
+export function createEncryptedZip(entries, password) {
+  const { time, day } = dosDateTime(new Date());
+  const extra = aesExtraField();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const payload = encryptEntry(Buffer.from(data), password);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(51, 4); // version needed (AES)
+    local.writeUInt16LE(0x0801, 6); // encrypted, UTF-8 names
+    local.writeUInt16LE(99, 8); // method: AES
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(0, 14); // CRC (AE-2)
+    local.writeUInt32LE(payload.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(data), 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    local.writeUInt16LE(extra.length, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(51, 4); // version made by
+    central.writeUInt16LE(51, 6); // version needed
+    central.writeUInt16LE(0x0801, 8);
+    central.writeUInt16LE(99, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(0, 16);
+    central.writeUInt32LE(payload.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(data), 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt16LE(extra.length, 30);
+    central.writeUInt32LE(offset, 42); // local header offset (other fields stay 0)
+
+    localParts.push(local, nameBytes, extra, payload);
+    centralParts.push(central, nameBytes, extra);
+    offset += local.length + nameBytes.length + extra.length + payload.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
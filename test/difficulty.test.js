@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  MNEMONIC_ATTEMPT_COST,
+  attemptsForChance,
+  estimate,
+  expectedAttempts,
+  expectedWork,
+  matchProbability,
+  successChance,
+} from '../src/difficulty.js';
+
+const KEY_SPACE = 2n ** 256n;
+
+// Chance of landing in `count` keys out of all 2^256
+function share(count) {
+  return Number(count) / Number(KEY_SPACE);
+}
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * tolerance, `${actual} is not ~${expected}`);
+}
+
+test('a leading 1 is a leading zero byte', () => {
+  assertClose(matchProbability({ searchType: 'prefix', vanityString: '1', caseSensitive: true }), 1 / 256);
+  assertClose(matchProbability({ searchType: 'prefix', vanityString: '11', caseSensitive: true }), 1 / 65536);
+});
+
+test('case-sensitive single-character prefixes follow the uneven first character', () => {
+  // 'A' (digit 9) leads [9, 10) * 58^43 of the 44-character addresses and [9, 10) * 58^42
+  // of the 43-character ones - every key from 2^248 up encodes to 43 or 44 characters
+  assertClose(
+    matchProbability({ searchType: 'prefix', vanityString: 'A', caseSensitive: true }),
+    share(58n ** 43n + 58n ** 42n)
+  );
+  // 'a' (digit 33) can only lead a 43-character address: ~60x harder
+  assertClose(matchProbability({ searchType: 'prefix', vanityString: 'a', caseSensitive: true }), share(58n ** 42n));
+});
+
+test('case-insensitive letters count both spellings', () => {
+  assertClose(
+    matchProbability({ searchType: 'prefix', vanityString: 'a', caseSensitive: false }),
+    share(58n ** 43n + 2n * 58n ** 42n)
+  );
+  assertClose(matchProbability({ searchType: 'suffix', vanityString: 'a', caseSensitive: true }), 1 / 58);
+  assertClose(matchProbability({ searchType: 'suffix', vanityString: 'a', caseSensitive: false }), 2 / 58);
+  // Base58 has no lowercase 'l', so 'L' has a single spelling
+  assertClose(matchProbability({ searchType: 'suffix', vanityString: 'L', caseSensitive: false }), 1 / 58);
+  assertClose(expectedAttempts({ searchType: 'suffix', vanityString: 'abc', caseSensitive: false }), 58 ** 3 / 8);
+});
+
+test('attemptsForChance agrees with expected attempts and successChance', () => {
+  const params = { searchType: 'suffix', vanityString: 'abcd', caseSensitive: true };
+  const expected = expectedAttempts(params);
+
+  // The expected attempts give a 1 - 1/e chance, 95% takes ln(20) times as many
+  assertClose(attemptsForChance(params, 1 - Math.exp(-1)), expected, 1e-6);
+  assertClose(attemptsForChance(params, 0.95), expected * Math.log(20), 1e-6);
+  assertClose(successChance(params, attemptsForChance(params, 0.95)), 0.95);
+  assert.equal(successChance(params, 0), 0);
+});
+
+test('seed-phrase attempts cost more work and time, not more attempts', () => {
+  const plain = { searchType: 'suffix', vanityString: 'abc', caseSensitive: true };
+  const mnemonic = { ...plain, mnemonicWords: 12 };
+
+  assert.equal(expectedAttempts(mnemonic), expectedAttempts(plain));
+  assertClose(expectedWork(mnemonic), expectedAttempts(plain) * MNEMONIC_ATTEMPT_COST);
+  assertClose(estimate(mnemonic, 1000).seconds, estimate(plain, 1000).seconds * MNEMONIC_ATTEMPT_COST);
+  assert.equal(estimate(plain, 0).seconds, null);
+});
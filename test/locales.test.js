@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_LOCALE, LOCALES } from '../src/i18n.js';
+
+// Dotted key -> message; a plural object (has an `other` form) is one message
+function flatten(catalog, prefix = '') {
+  return Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === 'object' && !('other' in value) ? flatten(value, `${prefix}${key}.`) : [[`${prefix}${key}`, value]]
+  );
+}
+
+function placeholders(message) {
+  const forms = typeof message === 'object' ? Object.values(message) : [message];
+  return [...new Set(forms.flatMap((form) => form.match(/\{\w+\}/g) || []))].sort();
+}
+
+const reference = new Map(flatten(LOCALES[DEFAULT_LOCALE]));
+const translations = Object.keys(LOCALES).filter((locale) => locale !== DEFAULT_LOCALE);
+
+for (const locale of translations) {
+  const catalog = new Map(flatten(LOCALES[locale]));
+
+  test(`${locale} has every message of ${DEFAULT_LOCALE} and no others`, () => {
+    assert.deepEqual([...reference.keys()].filter((key) => !catalog.has(key)), []);
+    assert.deepEqual([...catalog.keys()].filter((key) => !reference.has(key)), []);
+  });
+
+  test(`${locale} messages use the same placeholders as ${DEFAULT_LOCALE}`, () => {
+    for (const [key, message] of catalog) {
+      if (reference.has(key)) assert.deepEqual(placeholders(message), placeholders(reference.get(key)), key);
+    }
+  });
+}
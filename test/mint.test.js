@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PLACEHOLDER_BLOCKHASH, buildInitializeMintTransaction, checkMintKeypair, isOnCurve } from '../src/mint.js';
+
+// Keypairs from the seeds 1..32 (payer), 100..131 (mint) and 200..231 (freeze authority).
+// The expected transactions were serialized by @solana/web3.js 1.x with
+// SystemProgram.createAccount and @solana/spl-token's createInitializeMintInstruction.
+const PAYER = '9C6hybhQ6Aycep9jaUnP6uL9ZYvDjUp1aSkFWPUFJtpj';
+const MINT = 'nowAfiByViBTf7X9wiVVaoC7PM8R5r7DzQ8Exch3kGP';
+const MINT_SECRET = Buffer.from('6465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f808182830bbc346a57667c380120bd9c7fd7e51d2c5fdfea37cd2f5bf405b2c6bf6f2d78', 'hex');
+const FREEZE_AUTHORITY = '4QwgLaqCPvWEN15SycNTqjk5EWBdzbhtdDPrkqxUUu7Q';
+const BLOCKHASH = 'EkSnNWid2cvwEVnVx9aBqawnmiCNiDgp3gUdkDPTKN1N';
+
+const WITHOUT_FREEZE_AUTHORITY = 'AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgADBXm1Vi6P5lT5QHixEuipi6eQH4U65pW+1+DjkQutBJZkC7w0aldmfDgBIL2cf9flHSxf3+o3zS9b9AWyxr9vLXgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAan1RcZLFxRIYzJTD1K8X9Y2u4Im6H9ROPb2YoAAAAABt324ddloZPZy+FGzut5rBy0he1fWzeROoz1hX7/AKnMSQ6SjNLjhzuzQ/yV2jMXnKYPTb9GwsNukSmdVdTmuQICAgABNAAAAABgTRYAAAAAAFIAAAAAAAAABt324ddloZPZy+FGzut5rBy0he1fWzeROoz1hX7/AKkEAgEDIwAGebVWLo/mVPlAeLES6KmLp5AfhTrmlb7X4OORC60ElmQA';
+const WITH_FREEZE_AUTHORITY = 'AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgADBXm1Vi6P5lT5QHixEuipi6eQH4U65pW+1+DjkQutBJZkC7w0aldmfDgBIL2cf9flHSxf3+o3zS9b9AWyxr9vLXgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAan1RcZLFxRIYzJTD1K8X9Y2u4Im6H9ROPb2YoAAAAABt324ddloZPZy+FGzut5rBy0he1fWzeROoz1hX7/AKnMSQ6SjNLjhzuzQ/yV2jMXnKYPTb9GwsNukSmdVdTmuQICAgABNAAAAABgTRYAAAAAAFIAAAAAAAAABt324ddloZPZy+FGzut5rBy0he1fWzeROoz1hX7/AKkEAgEDQwAGebVWLo/mVPlAeLES6KmLp5AfhTrmlb7X4OORC60ElmQBMrU+iC49qsGA16X2Ik1htkAbQ/kB2wnw5NhM5OSicYs=';
+
+test('InitializeMint transaction matches @solana/web3.js', () => {
+  const { transaction, signers } = buildInitializeMintTransaction({ mint: MINT, payer: PAYER, decimals: 6, blockhash: BLOCKHASH });
+  assert.equal(transaction, WITHOUT_FREEZE_AUTHORITY);
+  assert.deepEqual(signers, [PAYER, MINT]);
+});
+
+test('InitializeMint transaction with a freeze authority matches @solana/web3.js', () => {
+  const { transaction } = buildInitializeMintTransaction({
+    mint: MINT,
+    payer: PAYER,
+    decimals: 6,
+    freezeAuthority: FREEZE_AUTHORITY,
+    blockhash: BLOCKHASH,
+  });
+  assert.equal(transaction, WITH_FREEZE_AUTHORITY);
+});
+
+test('InitializeMint transaction defaults to the placeholder blockhash and 9 decimals', () => {
+  const { transaction } = buildInitializeMintTransaction({ mint: MINT, payer: PAYER });
+  const expected = buildInitializeMintTransaction({ mint: MINT, payer: PAYER, decimals: 9, blockhash: PLACEHOLDER_BLOCKHASH });
+  assert.equal(transaction, expected.transaction);
+});
+
+test('InitializeMint transaction rejects bad input', () => {
+  assert.throws(() => buildInitializeMintTransaction({ mint: MINT, payer: PAYER, decimals: 256 }), /Decimals/);
+  assert.throws(() => buildInitializeMintTransaction({ mint: MINT, payer: MINT }), /different accounts/);
+  assert.throws(() => buildInitializeMintTransaction({ mint: '8cAYPEKH85tFPbkVoznxFEVuTLyqTypk82qgRJZifa5i', payer: PAYER }), /curve/);
+  assert.throws(() => buildInitializeMintTransaction({ mint: MINT, payer: 'not-base58!' }), /Invalid payer/);
+});
+
+test('isOnCurve tells keypair addresses from program-derived addresses', () => {
+  assert.equal(isOnCurve(MINT), true);
+  // findProgramAddressSync(['solvan'], Token program)
+  assert.equal(isOnCurve('8cAYPEKH85tFPbkVoznxFEVuTLyqTypk82qgRJZifa5i'), false);
+});
+
+test('checkMintKeypair accepts the keypair of the address only', () => {
+  assert.doesNotThrow(() => checkMintKeypair(MINT_SECRET, MINT));
+  assert.throws(() => checkMintKeypair(MINT_SECRET, PAYER), /doesn't belong/);
+  assert.throws(() => checkMintKeypair(MINT_SECRET.subarray(0, 32), MINT), /64 bytes/);
+
+  const forged = Buffer.from(MINT_SECRET);
+  forged[0] ^= 1;
+  assert.throws(() => checkMintKeypair(forged, MINT), /doesn't belong/);
+});
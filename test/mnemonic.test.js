@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ed25519 } from '@noble/curves/ed25519';
+import { validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { encode } from '../src/base58.js';
+import { DERIVATION_PATH, derivePrivateKey, mnemonicKeypair, randomMnemonic } from '../src/mnemonic.js';
+
+const ABANDON_ABOUT = `${'abandon '.repeat(11)}about`;
+
+test('the standard test phrase derives the address Phantom and Solflare import', () => {
+  assert.equal(DERIVATION_PATH, "m/44'/501'/0'/0'");
+  const { publicKey, secretKey } = mnemonicKeypair(ABANDON_ABOUT);
+  assert.equal(encode(publicKey), 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk');
+  // Solana keypair layout: seed || public key
+  assert.deepEqual(Buffer.from(ed25519.getPublicKey(secretKey.subarray(0, 32))), Buffer.from(publicKey));
+  assert.deepEqual(secretKey.subarray(32), publicKey);
+});
+
+// SLIP-0010 test vector 1 for ed25519
+test('SLIP-0010 ed25519 derivation matches the specification', () => {
+  const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+  const vectors = {
+    m: '2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7',
+    "m/0'": '68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3',
+    "m/0'/1'": 'b1d0bad404bf35da785a64ca1ac54b2617211d2777696fbffaf208f746ae84f2',
+    "m/0'/1'/2'/2'/1000000000'": '8f94d394a8e8fd6b1bc2f3f49f5c47e385281d5c17e65324b0f62483e37e8793',
+  };
+  for (const [path, privateKey] of Object.entries(vectors)) {
+    assert.equal(derivePrivateKey(seed, path).toString('hex'), privateKey, path);
+  }
+  assert.throws(() => derivePrivateKey(seed, 'm/0'), /hardened/);
+});
+
+test('random phrases are valid BIP39 mnemonics of 12 or 24 words', () => {
+  for (const words of [12, 24]) {
+    const mnemonic = randomMnemonic(words);
+    assert.equal(mnemonic.split(' ').length, words);
+    assert.ok(validateMnemonic(mnemonic, wordlist));
+  }
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ed25519 } from '@noble/curves/ed25519';
+import { encode } from '../src/base58.js';
+import {
+  combineSplitKey,
+  parseBasePublicKey,
+  randomScalar,
+  scalarToBytes,
+  signWithExpandedKey,
+  tweakedAddress,
+  verifySignature,
+} from '../src/split-key.js';
+
+// The user's base keypair - what `tools/split-key.js keygen` keeps in base-keypair.json
+const SEED = Buffer.from(Array.from({ length: 32 }, (_, i) => i + 1));
+const BASE_PUBLIC_KEY = encode(ed25519.getPublicKey(SEED));
+
+// What the worker hands out for a tweak, and what the user computes from it, must agree
+function roundTrip(tweak) {
+  const tweakHex = scalarToBytes(tweak).toString('hex');
+  const searched = tweakedAddress(BASE_PUBLIC_KEY, tweak);
+  const { address, expandedSecretKey } = combineSplitKey(SEED, tweakHex);
+
+  assert.equal(address, searched);
+
+  const message = Buffer.from(`transfer to ${address}`);
+  const signature = signWithExpandedKey(expandedSecretKey, message);
+  assert.ok(verifySignature(signature, message, address));
+  assert.equal(verifySignature(signature, Buffer.from('something else'), address), false);
+  return address;
+}
+
+test('combined key for tweak 1 is the base key plus G', () => {
+  const expected = parseBasePublicKey(BASE_PUBLIC_KEY).add(ed25519.Point.BASE);
+  assert.equal(roundTrip(1n), encode(expected.toBytes()));
+});
+
+test('combined key matches the searched address for fixed tweaks', () => {
+  for (const tweak of [1n, 2n, 123456789n, ed25519.CURVE.n - 1n]) roundTrip(tweak);
+});
+
+test('combined key matches the searched address for random tweaks', () => {
+  for (let i = 0; i < 5; i++) roundTrip(randomScalar());
+});
+
+test('consecutive tweaks walk P + t·G like the search loop', () => {
+  const tweak = randomScalar();
+  const point = parseBasePublicKey(BASE_PUBLIC_KEY).add(ed25519.Point.BASE.multiply(tweak)).add(ed25519.Point.BASE);
+  assert.equal(roundTrip(tweak + 1n), encode(point.toBytes()));
+});
+
+test('parseBasePublicKey rejects keys off the curve or of small order', () => {
+  assert.throws(() => parseBasePublicKey('not base58!'), /base58/);
+  assert.throws(() => parseBasePublicKey(encode(Buffer.alloc(31, 1))), /32 bytes/);
+  // The identity point
+  assert.throws(() => parseBasePublicKey(encode(Buffer.from([1, ...Buffer.alloc(31)]))), /small-order/);
+});
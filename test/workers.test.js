@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { canAnyWorkerRun, canRun } from '../src/workers.js';
+
+const JS_WORKER = { engine: 'js', capabilities: { maxLength: 6, split: true, mnemonic: true } };
+const PYTHON_WORKER = { engine: 'python', capabilities: { maxLength: 4, split: false, mnemonic: false } };
+
+// The worker registry hash, heartbeats `ageMs` old
+function fakeRedis(workers, ageMs = 0) {
+  const hash = Object.fromEntries(
+    Object.entries(workers).map(([id, w]) => [id, JSON.stringify({ ...w, at: new Date(Date.now() - ageMs).toISOString() })])
+  );
+  return {
+    async hgetall() {
+      return { ...hash };
+    },
+    async hdel(key, id) {
+      delete hash[id];
+    },
+  };
+}
+
+const SPLIT_JOB = { searchType: 'prefix', vanityString: 'AB', basePublicKey: 'base' };
+const LONG_JOB = { searchType: 'prefix', vanityString: 'ABCDE' };
+
+test('canRun checks pattern length and engine features', () => {
+  assert.equal(canRun(PYTHON_WORKER.capabilities, { searchType: 'prefix', vanityString: 'AB' }), true);
+  assert.equal(canRun(PYTHON_WORKER.capabilities, LONG_JOB), false);
+  assert.equal(canRun(PYTHON_WORKER.capabilities, SPLIT_JOB), false);
+  assert.equal(canRun(PYTHON_WORKER.capabilities, { ...LONG_JOB, vanityString: 'AB', mnemonicWords: 12 }), false);
+  assert.equal(canRun(JS_WORKER.capabilities, SPLIT_JOB), true);
+});
+
+test('a job another live worker can run is handed off', async () => {
+  const redis = fakeRedis({ 'py:1': PYTHON_WORKER, 'js:1': JS_WORKER });
+  assert.equal(await canAnyWorkerRun(redis, SPLIT_JOB), true);
+  assert.equal(await canAnyWorkerRun(redis, LONG_JOB), true);
+});
+
+test('a job no live worker can run is not handed off', async () => {
+  assert.equal(await canAnyWorkerRun(fakeRedis({ 'py:1': PYTHON_WORKER }), SPLIT_JOB), false);
+  assert.equal(await canAnyWorkerRun(fakeRedis({ 'py:1': PYTHON_WORKER }), LONG_JOB), false);
+  assert.equal(await canAnyWorkerRun(fakeRedis({}), LONG_JOB), false);
+});
+
+test('workers that stopped sending heartbeats do not count', async () => {
+  assert.equal(await canAnyWorkerRun(fakeRedis({ 'js:1': JS_WORKER }, 60000), SPLIT_JOB), false);
+});
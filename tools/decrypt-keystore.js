@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+// Offline helper: decrypt a *.keystore.json from the bot's encrypted archive
+//
+//   node tools/decrypt-keystore.js <address>.keystore.json [--out keypair.json]
+//
+// Prints the address and base58 private key (Phantom "Import Private Key");
+// --out also writes a Solana CLI keypair file.
+
+import fs from 'fs';
+import readline from 'readline';
+import { encode } from '../src/base58.js';
+import { decryptKeystore, solanaCliKeypair } from '../src/keystore.js';
+
+const [file, flag, outFile] = process.argv.slice(2);
+if (!file || (flag && (flag !== '--out' || !outFile))) {
+  console.error('Usage: node tools/decrypt-keystore.js <file.keystore.json> [--out keypair.json]');
+  process.exit(1);
+}
+
+const keystore = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+const passphrase = await new Promise((resolve) => rl.question('Passphrase: ', resolve));
+rl.close();
+
+try {
+  const secretKey = await decryptKeystore(keystore, passphrase);
+
+  console.log(`Address:     ${keystore.address}`);
+  console.log(`Private key: ${encode(secretKey)}`);
+
+  if (outFile) {
+    fs.writeFileSync(outFile, solanaCliKeypair(secretKey), { mode: 0o600 });
+    console.log(`Keypair written to ${outFile}`);
+  }
+} catch {
+  console.error('❌ Wrong passphrase or corrupted keystore');
+  process.exit(1);
+}
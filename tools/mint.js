@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+// Offline companion for the bot's token mint mode - nothing here touches the network
+//
+//   node tools/mint.js check <mint-keypair.json>
+//       Check that the keypair file is valid and its address is on the ed25519 curve.
+//
+//   node tools/mint.js init-tx <mint-keypair.json|mint-address> --payer <pubkey> [--decimals 9]
+//                     [--mint-authority <pubkey>] [--freeze-authority <pubkey>] [--blockhash <hash>]
+//       Print an unsigned transaction (base64) that creates the mint account and runs
+//       SPL Token InitializeMint. Sign it elsewhere with the payer and the mint keypair;
+//       without --blockhash it carries a placeholder the signing tool must replace.
+
+import fs from 'fs';
+import { encode } from '../src/base58.js';
+import { MINT_RENT_LAMPORTS, buildInitializeMintTransaction, checkMintKeypair } from '../src/mint.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+function usage() {
+  console.error(`Usage:
+  node tools/mint.js check <mint-keypair.json>
+  node tools/mint.js init-tx <mint-keypair.json|mint-address> --payer <pubkey> [--decimals 9]
+                    [--mint-authority <pubkey>] [--freeze-authority <pubkey>] [--blockhash <hash>]`);
+  process.exit(1);
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+// --name value pairs out of args
+function takeOption(name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args.splice(index, 2)[1] : undefined;
+}
+
+// The address of a Solana CLI keypair file, checked against its secret
+function readMintKeypair(file) {
+  const secretKey = Buffer.from(JSON.parse(fs.readFileSync(file, 'utf8')));
+  const address = encode(secretKey.subarray(32));
+  checkMintKeypair(secretKey, address);
+  return address;
+}
+
+try {
+  if (command === 'check') {
+    if (!args[0]) usage();
+
+    const address = readMintKeypair(args[0]);
+    console.log(`Mint address: ${address}`);
+    console.log('✅ Valid keypair, address on the ed25519 curve');
+  } else if (command === 'init-tx') {
+    const payer = takeOption('payer');
+    const decimals = takeOption('decimals');
+    const mintAuthority = takeOption('mint-authority');
+    const freezeAuthority = takeOption('freeze-authority');
+    const blockhash = takeOption('blockhash');
+    const [source] = args;
+    if (!source || !payer) usage();
+
+    const mint = fs.existsSync(source) ? readMintKeypair(source) : source;
+    const { transaction, signers } = buildInitializeMintTransaction({
+      mint,
+      payer,
+      ...(decimals !== undefined && { decimals: Number(decimals) }),
+      ...(mintAuthority && { mintAuthority }),
+      ...(freezeAuthority && { freezeAuthority }),
+      ...(blockhash && { blockhash }),
+    });
+
+    console.error(`Mint: ${mint}`);
+    console.error(`Rent paid by ${payer}: ${MINT_RENT_LAMPORTS / 1e9} SOL`);
+    console.error(`Signers: ${signers.join(', ')}`);
+    if (!blockhash) console.error('⚠️ Placeholder blockhash - set a recent one when signing');
+    // The transaction alone on stdout, for piping
+    console.log(transaction);
+  } else {
+    usage();
+  }
+} catch (err) {
+  fail(err.message);
+}
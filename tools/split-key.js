@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+// Offline companion for the bot's split-key mode
+//
+//   node tools/split-key.js keygen [base-keypair.json]
+//       Create the base keypair on this device; send only the printed public key to the bot.
+//
+//   node tools/split-key.js combine <base-keypair.json> <tweak> [expected-address] [--out final-key.json]
+//       Add the bot's tweak to your secret, check the resulting address and test-sign with it.
+//
+// The final key is a raw ed25519 scalar (64-byte expanded secret key, hex) - seed-based
+// wallets such as Phantom can't import it. Keep base-keypair.json: it is half of the key.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { ed25519 } from '@noble/curves/ed25519';
+import { encode } from '../src/base58.js';
+import { solanaCliKeypair } from '../src/keystore.js';
+import { combineSplitKey, signWithExpandedKey, verifySignature } from '../src/split-key.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+function usage() {
+  console.error(`Usage:
+  node tools/split-key.js keygen [base-keypair.json]
+  node tools/split-key.js combine <base-keypair.json> <tweak> [expected-address] [--out final-key.json]`);
+  process.exit(1);
+}
+
+if (command === 'keygen') {
+  const file = args[0] || 'base-keypair.json';
+  if (fs.existsSync(file)) {
+    console.error(`❌ ${file} already exists - refusing to overwrite it`);
+    process.exit(1);
+  }
+
+  const seed = crypto.randomBytes(32);
+  const publicKey = ed25519.getPublicKey(seed);
+  fs.writeFileSync(file, solanaCliKeypair(Buffer.concat([seed, publicKey])), { mode: 0o600 });
+
+  console.log(`Base keypair written to ${file} - keep it secret and safe`);
+  console.log(`Send this public key to the bot: ${encode(publicKey)}`);
+} else if (command === 'combine') {
+  const outIndex = args.indexOf('--out');
+  const outFile = outIndex >= 0 ? args.splice(outIndex, 2)[1] : null;
+  const [file, tweak, expected] = args;
+  if (!file || !/^[0-9a-f]{64}$/i.test(tweak || '')) usage();
+
+  const keypair = Buffer.from(JSON.parse(fs.readFileSync(file, 'utf8')));
+  const { address, expandedSecretKey } = combineSplitKey(keypair.subarray(0, 32), tweak);
+
+  console.log(`Address: ${address}`);
+  if (expected && expected !== address) {
+    console.error(`❌ Expected ${expected} - wrong base keypair or tweak?`);
+    process.exit(1);
+  }
+
+  const message = `solvan split-key self-test ${Date.now()}`;
+  if (!verifySignature(signWithExpandedKey(expandedSecretKey, message), message, address)) {
+    console.error('❌ Self-test signature failed');
+    process.exit(1);
+  }
+  console.log('✅ Test signature verified against the address');
+
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify({ address, expandedSecretKey: expandedSecretKey.toString('hex') }), {
+      mode: 0o600,
+    });
+    console.log(`Expanded secret key written to ${outFile}`);
+  } else {
+    console.log(`Expanded secret key (hex): ${expandedSecretKey.toString('hex')}`);
+  }
+} else {
+  usage();
+}
@@ -7,20 +7,52 @@ No hanging - early exit with proper multiprocessing
 
 import sys
 import json
+import argparse
 import time
 import multiprocessing
 import base58
 from solders.keypair import Keypair
 
 NUM_PROCESSES = max(4, multiprocessing.cpu_count())
+PROGRESS_EVERY = 1000
 
-def find_vanity_address(process_id, search_type, vanity_string, result_queue, stop_flag, case_sensitive):
+def describe_pattern(pattern):
+    """Same notation as describeAlternative() in src/patterns.js"""
+    if pattern["contains"]:
+        return "*" + pattern["contains"] + "*"
+    if pattern["prefix"] and pattern["suffix"]:
+        return pattern["prefix"] + ".." + pattern["suffix"]
+    if pattern["suffix"]:
+        return ".." + pattern["suffix"]
+    return pattern["prefix"]
+
+def create_filter(filters):
+    """Same rules as createAddressFilter() in src/filters.js"""
+    if not filters:
+        return lambda address: False
+    substrings = filters["substrings"]
+    ends = {start + end for start, end in filters["lookalikes"]}
+    
+    def is_rejected(address):
+        if address[:4] + address[-4:] in ends:
+            return True
+        folded = address.lower()
+        return any(word in folded for word in substrings)
+    
+    return is_rejected
+
+def find_vanity_address(process_id, patterns, result_queue, stop_flag, case_sensitive, filters):
     """Worker process - exits immediately when match found"""
     counter = 0
     start_time = time.time()
     
     try:
-        string_to_check = vanity_string if case_sensitive else vanity_string.lower()
+        fold = (lambda s: s) if case_sensitive else (lambda s: s.lower())
+        targets = [
+            (p, fold(p["prefix"]), fold(p["suffix"]), fold(p["contains"]))
+            for p in patterns
+        ]
+        is_rejected = create_filter(filters)
         
         while True:
             # Early exit if another process found match
@@ -31,15 +63,29 @@ def find_vanity_address(process_id, search_type, vanity_string, result_queue, st
             address = str(keypair.pubkey())
             counter += 1
             
-            # Check for match
-            address_check = address if case_sensitive else address.lower()
+            # Progress line for the Node worker (attempts since last report) - before the
+            # match check, so the attempts that found a wallet are counted too
+            if counter % PROGRESS_EVERY == 0:
+                print(json.dumps({"progress": PROGRESS_EVERY}), file=sys.stderr, flush=True)
             
-            if (search_type == 'prefix' and address_check.startswith(string_to_check)) or \
-               (search_type == 'suffix' and address_check.endswith(string_to_check)):
-                
-                # Found match - signal stop and return result
-                stop_flag.value = 1
+            # Check for match - first pattern that fits wins
+            address_check = fold(address)
+            matched = next(
+                (p for p, prefix, suffix, contains in targets
+                 if address_check.startswith(prefix)
+                 and address_check.endswith(suffix)
+                 and contains in address_check),
+                None
+            )
+            
+            # A match the safety filters reject is just another attempt
+            if matched and is_rejected(address):
+                matched = None
+                print(json.dumps({"filtered": 1}), file=sys.stderr, flush=True)
+            
+            if matched:
                 
+                # Found match - hand it to main and keep searching (batch jobs)
                 complete_keypair = bytes(keypair)
                 result = {
                     "address": address,
@@ -47,23 +93,44 @@ def find_vanity_address(process_id, search_type, vanity_string, result_queue, st
                     "privateKeyBase58": base58.b58encode(complete_keypair).decode('utf-8'),
                     "privateKeyHex": complete_keypair.hex(),
                     "attempts": counter,
-                    "time": round(time.time() - start_time, 2)
+                    "time": round(time.time() - start_time, 2),
+                    "matchedPattern": describe_pattern(matched)
                 }
                 
                 result_queue.put(result)
-                return
     
     except Exception as e:
         print(f"[ERROR P{process_id}] {e}", file=sys.stderr)
 
+def parse_args():
+    parser = argparse.ArgumentParser()
+    parser.add_argument('--search-type', required=True)
+    parser.add_argument('--vanity-string', required=True)
+    parser.add_argument('--case-sensitive', default='false')
+    parser.add_argument('--num-wallets', default='1')
+    # JSON list of {prefix, suffix, contains} from src/patterns.js
+    parser.add_argument('--patterns')
+    # JSON {substrings, lookalikes} from src/filters.js
+    parser.add_argument('--filters')
+    return parser.parse_args()
+
 def main():
-    if len(sys.argv) < 8:
+    try:
+        args = parse_args()
+    except SystemExit:
         print(json.dumps({"error": "Missing arguments"}))
         sys.exit(1)
     
-    search_type = sys.argv[2]
-    vanity_string = sys.argv[4]
-    case_sensitive = sys.argv[6] == 'true'
+    case_sensitive = args.case_sensitive == 'true'
+    num_wallets = max(1, int(args.num_wallets))
+    
+    if args.patterns:
+        patterns = json.loads(args.patterns)
+    else:
+        empty = {"prefix": "", "suffix": "", "contains": ""}
+        patterns = [{**empty, args.search_type: args.vanity_string}]
+    
+    filters = json.loads(args.filters) if args.filters else None
     
     with multiprocessing.Manager() as manager:
         stop_flag = manager.Value('i', 0)
@@ -73,18 +140,22 @@ def main():
         for i in range(NUM_PROCESSES):
             p = multiprocessing.Process(
                 target=find_vanity_address,
-                args=(i, search_type, vanity_string, result_queue, stop_flag, case_sensitive)
+                args=(i, patterns, result_queue, stop_flag, case_sensitive, filters)
             )
             p.daemon = True
             p.start()
             processes.append(p)
         
-        result = None
+        results = []
         try:
-            result = result_queue.get(timeout=3600)
+            while len(results) < num_wallets:
+                results.append(result_queue.get(timeout=3600))
+                print(json.dumps({"found": len(results)}), file=sys.stderr, flush=True)
         except:
             pass
         
+        stop_flag.value = 1
+        
         # Kill all processes immediately
         for p in processes:
             try:
@@ -96,7 +167,14 @@ def main():
             except:
                 pass
         
-        if result:
+        if len(results) == num_wallets:
+            # Top-level fields describe the first wallet, "wallets" holds the whole batch
+            last = results[-1]
+            wallets = [
+                {k: v for k, v in r.items() if k not in ("attempts", "time")}
+                for r in results
+            ]
+            result = {**wallets[0], "wallets": wallets, "attempts": last["attempts"], "time": last["time"]}
             print(json.dumps(result))
             sys.exit(0)
         else:
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+// Solvan - standalone generator worker
+// Runs jobs queued by the bot and the REST API (same Redis, same RESULT_ENCRYPTION_KEY).
+// Start one per machine; run the bot with BOT_ONLY=true to leave all the work to them.
+
+import Redis from 'ioredis';
+import { loadEnv } from './src/env.js';
+import { logger } from './src/logger.js';
+import { redisOptions } from './src/queue.js';
+import { loadResultKey } from './src/secrets.js';
+import { CLOSE_TIMEOUT_MS, createGeneratorWorker } from './src/worker.js';
+
+loadEnv();
+
+if (!process.env.RESULT_ENCRYPTION_KEY) {
+  logger.warn('RESULT_ENCRYPTION_KEY not set - results are sealed with a key derived from TELEGRAM_BOT_TOKEN');
+}
+
+const connection = new Redis({ ...redisOptions(), maxRetriesPerRequest: null });
+const redis = new Redis(redisOptions());
+const subscriber = new Redis(redisOptions());
+
+connection.on('connect', () => logger.info('Redis connected'));
+connection.on('error', (err) => logger.error('Redis error', { err }));
+
+const generatorWorker = createGeneratorWorker({ connection, redis, subscriber, resultKey: loadResultKey() });
+
+async function shutdown() {
+  logger.info('Shutting down');
+  // A job that doesn't stop must not leave the process to be killed mid-requeue
+  const timeout = generatorWorker.shutdownTimeoutMs + CLOSE_TIMEOUT_MS;
+  const deadline = setTimeout(() => {
+    logger.error('Shutdown timed out - exiting', { ms: timeout });
+    process.exit(1);
+  }, timeout);
+  deadline.unref();
+
+  try {
+    await generatorWorker.close();
+    await subscriber.quit();
+    await redis.quit();
+    await connection.quit();
+  } catch (err) {
+    logger.error('Shutdown failed', { err });
+    process.exitCode = 1;
+  }
+  process.exit();
+}
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);